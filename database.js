@@ -4,42 +4,162 @@ const path = require('path');
 
 const dbPath = path.join(__dirname, 'games.db');
 
-// Initialize database
-function initDatabase() {
-    const db = new sqlite3.Database(dbPath, (err) => {
-        if (err) {
-            console.error('Error opening database:', err);
-        } else {
-            console.log('Connected to SQLite database');
-        }
+// Schema migrations, applied in order at startup
+// The applied version is tracked in PRAGMA user_version. Never change a released
+// migration, append a new one instead.
+const migrations = [
+    {
+        version: 1,
+        description: 'Create games and game_users tables',
+        // IF NOT EXISTS: databases created before migrations existed already have these tables
+        statements: [
+            `CREATE TABLE IF NOT EXISTS games (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channelId TEXT UNIQUE,
+                channelName TEXT,
+                gameState TEXT,
+                whiteTeam TEXT,
+                blackTeam TEXT,
+                moveCount INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+            `CREATE TABLE IF NOT EXISTS game_users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gameId INTEGER,
+                userId TEXT,
+                username TEXT,
+                team TEXT,
+                joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(gameId) REFERENCES games(id) ON DELETE CASCADE
+            )`
+        ]
+    },
+    {
+        version: 2,
+        description: 'Create moves table (one row per ply)',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS moves (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gameId INTEGER,
+                ply INTEGER,
+                san TEXT,
+                uci TEXT,
+                player TEXT,
+                userId TEXT,
+                fenAfter TEXT,
+                timestamp INTEGER,
+                FOREIGN KEY(gameId) REFERENCES games(id) ON DELETE CASCADE
+            )`,
+            `CREATE INDEX IF NOT EXISTS idx_moves_game_ply ON moves (gameId, ply)`
+        ]
+    },
+    {
+        version: 3,
+        description: 'Create players table (display names by Telegram user ID)',
+        statements: [
+            `CREATE TABLE players (
+                userId TEXT PRIMARY KEY,
+                username TEXT,
+                firstName TEXT,
+                displayName TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        ]
+    },
+    {
+        version: 4,
+        description: 'Create chat_settings table (per-chat preferences as JSON)',
+        statements: [
+            `CREATE TABLE chat_settings (
+                chatId TEXT PRIMARY KEY,
+                settings TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        ]
+    },
+    {
+        version: 5,
+        description: 'Add fenBefore to moves (position each move was played from, so replays start where the game did)',
+        statements: [
+            `ALTER TABLE moves ADD COLUMN fenBefore TEXT`
+        ]
+    }
+];
+
+// Promise wrappers used by the migration runner
+function run(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
     });
+}
 
-    // Create games table
-    db.serialize(() => {
-        db.run(`CREATE TABLE IF NOT EXISTS games (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            channelId TEXT UNIQUE,
-            channelName TEXT,
-            gameState TEXT,
-            whiteTeam TEXT,
-            blackTeam TEXT,
-            moveCount INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        db.run(`CREATE TABLE IF NOT EXISTS game_users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            gameId INTEGER,
-            userId TEXT,
-            username TEXT,
-            team TEXT,
-            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY(gameId) REFERENCES games(id) ON DELETE CASCADE
-        )`);
+function getSchemaVersion(db) {
+    return new Promise((resolve, reject) => {
+        db.get(`PRAGMA user_version`, (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row.user_version);
+            }
+        });
     });
+}
+
+// Apply a single migration atomically together with its version bump
+async function applyMigration(db, migration) {
+    await run(db, 'BEGIN IMMEDIATE');
+    try {
+        for (const statement of migration.statements) {
+            await run(db, statement);
+        }
+        await run(db, `PRAGMA user_version = ${migration.version}`);
+        await run(db, 'COMMIT');
+    } catch (error) {
+        await run(db, 'ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+}
+
+// Bring the schema up to date, refusing databases written by a newer version of the bot
+async function runMigrations(db) {
+    const latestVersion = migrations[migrations.length - 1].version;
+    const currentVersion = await getSchemaVersion(db);
+
+    if (currentVersion > latestVersion) {
+        throw new Error(`Database schema version ${currentVersion} is newer than the latest known version ${latestVersion}. Please update the bot.`);
+    }
+
+    for (const migration of migrations) {
+        if (migration.version > currentVersion) {
+            await applyMigration(db, migration);
+            console.log(`Applied database migration ${migration.version}: ${migration.description}`);
+        }
+    }
+}
+
+// Initialize database, resolves with the connection once the schema is up to date
+function initDatabase() {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+                console.error('Error opening database:', err);
+                reject(err);
+                return;
+            }
 
-    return db;
+            console.log('Connected to SQLite database');
+            runMigrations(db)
+                .then(() => resolve(db))
+                .catch(reject);
+        });
+    });
 }
 
 // Get all active games
@@ -78,9 +198,17 @@ function saveGame(db, gameData) {
         const blackTeamStr = JSON.stringify(blackTeam || []);
         const gameStateStr = JSON.stringify(gameState);
 
-        db.run(`INSERT OR REPLACE INTO games 
+        // Upsert keeps the row id stable so moves stay attached to their game
+        db.run(`INSERT INTO games 
             (channelId, channelName, gameState, whiteTeam, blackTeam, moveCount, updated_at) 
-            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(channelId) DO UPDATE SET
+                channelName = excluded.channelName,
+                gameState = excluded.gameState,
+                whiteTeam = excluded.whiteTeam,
+                blackTeam = excluded.blackTeam,
+                moveCount = excluded.moveCount,
+                updated_at = CURRENT_TIMESTAMP`,
             [channelId, channelName, gameStateStr, whiteTeamStr, blackTeamStr, moveCount],
             function(err) {
                 if (err) {
@@ -93,15 +221,129 @@ function saveGame(db, gameData) {
     });
 }
 
+// Save a single move (ply) for a game
+function saveMove(db, channelId, moveData) {
+    return new Promise((resolve, reject) => {
+        const { ply, san, uci, player, userId, fenBefore, fenAfter, timestamp } = moveData;
+
+        db.run(`INSERT INTO moves 
+            (gameId, ply, san, uci, player, userId, fenBefore, fenAfter, timestamp) 
+            VALUES ((SELECT id FROM games WHERE channelId = ?), ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [channelId, ply, san, uci, player, userId != null ? String(userId) : null, fenBefore || null, fenAfter, timestamp],
+            function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            }
+        );
+    });
+}
+
+// Get all moves of a game in play order
+function getMoves(db, channelId) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT moves.* FROM moves 
+            JOIN games ON games.id = moves.gameId 
+            WHERE games.channelId = ? 
+            ORDER BY moves.ply ASC`, [channelId], (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows || []);
+            }
+        });
+    });
+}
+
+// Save or update a player's display name
+function savePlayer(db, player) {
+    return new Promise((resolve, reject) => {
+        const { userId, username, firstName, displayName } = player;
+
+        db.run(`INSERT INTO players (userId, username, firstName, displayName, updated_at) 
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(userId) DO UPDATE SET
+                username = excluded.username,
+                firstName = excluded.firstName,
+                displayName = excluded.displayName,
+                updated_at = CURRENT_TIMESTAMP`,
+            [String(userId), username, firstName, displayName],
+            function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            }
+        );
+    });
+}
+
+// Get all known players
+function getPlayers(db) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM players`, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows || []);
+            }
+        });
+    });
+}
+
+// Save or update the preferences of a chat (a user's private chat or a channel)
+function saveChatSettings(db, chatId, settings) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT INTO chat_settings (chatId, settings, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(chatId) DO UPDATE SET
+                settings = excluded.settings,
+                updated_at = CURRENT_TIMESTAMP`,
+            [String(chatId), JSON.stringify(settings)],
+            function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            }
+        );
+    });
+}
+
+// Get the preferences of all chats
+function getChatSettings(db) {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM chat_settings`, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows || []);
+            }
+        });
+    });
+}
+
 // Delete game
 function deleteGame(db, channelId) {
     return new Promise((resolve, reject) => {
-        db.run(`DELETE FROM games WHERE channelId = ?`, [channelId], function(err) {
+        // Foreign keys are not enforced by default, so remove the moves explicitly
+        db.run(`DELETE FROM moves WHERE gameId IN (SELECT id FROM games WHERE channelId = ?)`, [channelId], (err) => {
             if (err) {
                 reject(err);
-            } else {
-                resolve(this.changes);
+                return;
             }
+
+            db.run(`DELETE FROM games WHERE channelId = ?`, [channelId], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
         });
     });
 }
@@ -111,6 +353,12 @@ module.exports = {
     getActiveGames,
     getGameByChannelId,
     saveGame,
+    saveMove,
+    getMoves,
+    savePlayer,
+    getPlayers,
+    saveChatSettings,
+    getChatSettings,
     deleteGame
 };
 
@@ -0,0 +1,513 @@
+const { Chess } = require('chess.js');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Simple chess engine: alpha-beta search with iterative deepening, a transposition
+// table and piece-square tables, built on chess.js move generation
+
+// Piece values in centipawns
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Piece-square tables from White's point of view, a8 first (Simplified Evaluation Function)
+const PIECE_SQUARE_TABLES = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50
+    ],
+    b: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20
+    ],
+    r: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0
+    ],
+    q: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20
+    ],
+    k: [
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -20, -30, -30, -40, -40, -30, -30, -20,
+        -10, -20, -20, -20, -20, -20, -20, -10,
+        20, 20, 0, 0, 0, 0, 20, 20,
+        20, 30, 10, 0, 0, 10, 30, 20
+    ],
+    // The king belongs in the centre once the queens and most pieces are gone
+    kEndgame: [
+        -50, -40, -30, -20, -20, -30, -40, -50,
+        -30, -20, -10, 0, 0, -10, -20, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -30, 0, 0, 0, 0, -30, -30,
+        -50, -30, -30, -30, -30, -30, -30, -50
+    ]
+};
+
+// Non-pawn material (both sides) below which the endgame king table is used
+const ENDGAME_MATERIAL = 1300;
+
+// Strength levels: maximum search depth, time budget per move and random noise (centipawns) added to root moves
+const ENGINE_LEVELS = {
+    1: { depth: 1, timeLimitMs: 300, noise: 150 },
+    2: { depth: 2, timeLimitMs: 700, noise: 60 },
+    3: { depth: 3, timeLimitMs: 1500, noise: 20 },
+    4: { depth: 4, timeLimitMs: 3000, noise: 0 },
+    5: { depth: 6, timeLimitMs: 5000, noise: 0 }
+};
+
+const MATE_SCORE = 100000;
+const TT_MAX_ENTRIES = 200000;
+
+// The engine reaches chess.js only through a position adapter, the rest of the search works on it:
+//   moves() legal moves, isTactical(move) capture or promotion, play(move) / undo(),
+//   key() position key for the transposition table and repetitions, halfMoves() for the fifty-move rule,
+//   inCheck(), turn(), forEachPiece(fn(piece, rank, file)) with rank 0 being the 8th rank,
+//   toMoveObject(move) to { from, to, promotion, uci }
+//
+// The public chess.js API builds the FEN before and after every generated move, which makes a search
+// about 80 times slower, so with the chess.js version package.json pins (1.4.0) the adapter uses its
+// internal 0x88 move generator. Those internals are not part of the chess.js API: with any other
+// version that lacks them the engine falls back to the public API, slower but correct.
+const CHESS_JS_VERSION = '1.4.0';
+
+// chess.js 1.4.0 internal move flags for captures, en passant and promotions (BITS in chess.js)
+const CAPTURE_FLAGS = 2 | 8 | 16;
+
+// Helper function to check that chess.js has the internals of the version the fast adapter was written for
+function hasChessInternals() {
+    const chess = new Chess();
+    const hasMethods = ['_moves', '_makeMove', '_undoMove', '_isKingAttacked'].every(name => typeof chess[name] === 'function');
+    if (!hasMethods || typeof chess._hash !== 'bigint' || !Array.isArray(chess._board) || chess._board.length !== 128 ||
+        chess._turn !== 'w' || typeof chess._halfMoves !== 'number') {
+        return false;
+    }
+
+    try {
+        const moves = chess._moves({ legal: true });
+        return moves.length === 20 && typeof moves[0].from === 'number' && typeof moves[0].flags === 'number';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to convert a 0x88 square index to algebraic notation (e.g. 0 -> a8)
+function squareName(square) {
+    return 'abcdefgh'[square & 7] + (8 - (square >> 4));
+}
+
+// Position adapter on the chess.js 1.4.0 internals (moves use 0x88 square numbers)
+function createInternalPosition(chess) {
+    return {
+        moves: () => chess._moves({ legal: true }),
+        isTactical: move => (move.flags & CAPTURE_FLAGS) !== 0,
+        play: move => chess._makeMove(move),
+        undo: () => chess._undoMove(),
+        key: () => chess._hash,
+        halfMoves: () => chess._halfMoves,
+        inCheck: () => chess._isKingAttacked(chess._turn),
+        turn: () => chess._turn,
+        forEachPiece: fn => {
+            for (let square = 0; square < 128; square++) {
+                if (square & 0x88) {
+                    square += 7; // Skip the invisible half of the 0x88 board
+                    continue;
+                }
+                const piece = chess._board[square];
+                if (piece) {
+                    fn(piece, square >> 4, square & 7);
+                }
+            }
+        },
+        toMoveObject: move => {
+            const from = squareName(move.from);
+            const to = squareName(move.to);
+            return { from, to, promotion: move.promotion || undefined, uci: `${from}${to}${move.promotion || ''}` };
+        }
+    };
+}
+
+// Position adapter on the public chess.js API
+function createPublicPosition(chess) {
+    return {
+        moves: () => chess.moves({ verbose: true }),
+        isTactical: move => Boolean(move.captured || move.promotion),
+        play: move => chess.move(move),
+        undo: () => chess.undo(),
+        key: () => chess.fen().split(' ').slice(0, 4).join(' '), // Without the move counters
+        halfMoves: () => Number(chess.fen().split(' ')[4]),
+        inCheck: () => chess.inCheck(),
+        turn: () => chess.turn(),
+        forEachPiece: fn => chess.board().forEach((row, rank) => row.forEach((piece, file) => {
+            if (piece) {
+                fn(piece, rank, file);
+            }
+        })),
+        toMoveObject: move => ({ from: move.from, to: move.to, promotion: move.promotion || undefined, uci: `${move.from}${move.to}${move.promotion || ''}` })
+    };
+}
+
+const useChessInternals = hasChessInternals();
+if (!useChessInternals && isMainThread) {
+    console.error(`engine.js: chess.js is not version ${CHESS_JS_VERSION}, bot moves, hints and analysis use the slower public API.`);
+}
+
+// Helper function to create the position adapter for a FEN
+function createPosition(fen) {
+    const chess = new Chess(fen);
+    return useChessInternals ? createInternalPosition(chess) : createPublicPosition(chess);
+}
+
+// Helper function to evaluate a position in centipawns from the side to move's point of view
+function evaluate(position) {
+    let score = 0;
+    let nonPawnMaterial = 0;
+    const kings = [];
+
+    position.forEachPiece((piece, rank, file) => {
+        const index = piece.color === 'w' ? rank * 8 + file : (7 - rank) * 8 + file;
+        const sign = piece.color === 'w' ? 1 : -1;
+
+        if (piece.type === 'k') {
+            kings.push({ index, sign });
+            return;
+        }
+        if (piece.type !== 'p') {
+            nonPawnMaterial += PIECE_VALUES[piece.type];
+        }
+        score += sign * (PIECE_VALUES[piece.type] + PIECE_SQUARE_TABLES[piece.type][index]);
+    });
+
+    const kingTable = nonPawnMaterial <= ENDGAME_MATERIAL ? PIECE_SQUARE_TABLES.kEndgame : PIECE_SQUARE_TABLES.k;
+    kings.forEach(king => {
+        score += king.sign * kingTable[king.index];
+    });
+
+    return position.turn() === 'w' ? score : -score;
+}
+
+// Helper function to sort moves so the likely best ones are searched first:
+// the transposition table move, then captures by most valuable victim / least valuable attacker, then promotions
+function orderMoves(moves, bestMove) {
+    const moveScore = move => {
+        if (bestMove && move.from === bestMove.from && move.to === bestMove.to && move.promotion === bestMove.promotion) {
+            return 1000000;
+        }
+        let score = 0;
+        if (move.captured) {
+            score += 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] + 10000;
+        }
+        if (move.promotion) {
+            score += PIECE_VALUES[move.promotion];
+        }
+        return score;
+    };
+
+    return moves
+        .map(move => ({ move, score: moveScore(move) }))
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.move);
+}
+
+// Helper function to check the time budget every few thousand nodes
+function isOutOfTime(search) {
+    if (!search.stopped && (++search.nodes & 2047) === 0 && Date.now() >= search.deadline) {
+        search.stopped = true;
+    }
+    return search.stopped;
+}
+
+// Quiescence search: only captures and promotions, so evaluation never stops in the middle of an exchange
+function quiesce(search, alpha, beta) {
+    const { position } = search;
+    if (isOutOfTime(search)) {
+        return 0;
+    }
+
+    const standPat = evaluate(position);
+    if (standPat >= beta) {
+        return beta;
+    }
+    alpha = Math.max(alpha, standPat);
+
+    const captures = orderMoves(position.moves().filter(move => position.isTactical(move)), null);
+    for (const move of captures) {
+        position.play(move);
+        const score = -quiesce(search, -beta, -alpha);
+        position.undo();
+
+        if (score >= beta) {
+            return beta;
+        }
+        alpha = Math.max(alpha, score);
+    }
+    return alpha;
+}
+
+// Negamax alpha-beta search, returns the score from the side to move's point of view
+function negamax(search, depth, alpha, beta, ply) {
+    const { position, table } = search;
+    if (isOutOfTime(search)) {
+        return 0;
+    }
+
+    // Fifty-move rule and repetitions along the searched line are draws
+    const hash = position.key();
+    if (ply > 0 && (position.halfMoves() >= 100 || search.path.includes(hash))) {
+        return 0;
+    }
+
+    const entry = table.get(hash);
+    if (entry && entry.depth >= depth && ply > 0) {
+        if (entry.flag === 'exact') return entry.score;
+        if (entry.flag === 'lower' && entry.score >= beta) return entry.score;
+        if (entry.flag === 'upper' && entry.score <= alpha) return entry.score;
+    }
+
+    if (depth <= 0) {
+        return quiesce(search, alpha, beta);
+    }
+
+    const moves = position.moves();
+    if (moves.length === 0) {
+        // Checkmate (prefer the quickest mate) or stalemate
+        return position.inCheck() ? -MATE_SCORE + ply : 0;
+    }
+
+    const originalAlpha = alpha;
+    let bestScore = -Infinity;
+    let bestMove = null;
+
+    search.path.push(hash);
+    for (const move of orderMoves(moves, entry && entry.move)) {
+        position.play(move);
+        const score = -negamax(search, depth - 1, -beta, -alpha, ply + 1);
+        position.undo();
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestMove = move;
+        }
+        alpha = Math.max(alpha, score);
+        if (alpha >= beta) {
+            break;
+        }
+    }
+    search.path.pop();
+
+    if (!search.stopped) {
+        if (table.size >= TT_MAX_ENTRIES) {
+            table.clear();
+        }
+        const flag = bestScore <= originalAlpha ? 'upper' : (bestScore >= beta ? 'lower' : 'exact');
+        table.set(hash, { depth, score: bestScore, flag, move: bestMove });
+    }
+    return bestScore;
+}
+
+// Search the root position, returns every move with its score (best first)
+// With noise every move gets an exact score (full window), the noise only changes which move is preferred
+function searchRoot(search, depth, rootMoves, noise) {
+    const { position } = search;
+    const scored = [];
+    let alpha = -Infinity;
+
+    search.path.push(position.key());
+    for (const move of rootMoves) {
+        position.play(move);
+        const score = -negamax(search, depth - 1, -Infinity, noise ? Infinity : -alpha, 1);
+        position.undo();
+
+        if (search.stopped) {
+            break;
+        }
+        scored.push({ move, score, preference: score + (noise ? Math.round((Math.random() * 2 - 1) * noise) : 0) });
+        alpha = Math.max(alpha, score);
+    }
+    search.path.pop();
+
+    return scored.sort((a, b) => b.preference - a.preference);
+}
+
+// Search a position with iterative deepening
+// Returns { move: { from, to, promotion, uci }, score, depth, nodes } with the score in centipawns
+// from the side to move's point of view, or move null when there is no legal move
+function searchPosition(fen, { depth = 4, timeLimitMs = 2000, noise = 0 } = {}) {
+    const position = createPosition(fen);
+    const search = {
+        position,
+        table: new Map(),
+        path: [],
+        nodes: 0,
+        stopped: false,
+        deadline: Date.now() + timeLimitMs
+    };
+
+    let rootMoves = position.moves();
+    if (rootMoves.length === 0) {
+        return { move: null, score: position.inCheck() ? -MATE_SCORE : 0, depth: 0, nodes: 0 };
+    }
+
+    let best = { move: rootMoves[0], score: evaluate(position) };
+    let completedDepth = 0;
+
+    for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+        const scored = searchRoot(search, currentDepth, rootMoves, noise);
+
+        // A partial iteration still counts, the previous best move is always searched first
+        if (scored.length > 0) {
+            best = scored[0];
+            completedDepth = search.stopped ? completedDepth : currentDepth;
+        }
+        if (search.stopped) {
+            break;
+        }
+
+        // Search the best moves of this iteration first in the next one
+        rootMoves = [...scored.map(entry => entry.move)];
+        if (Math.abs(best.score) >= MATE_SCORE - 100) {
+            break; // Forced mate found
+        }
+    }
+
+    return { move: position.toMoveObject(best.move), score: best.score, depth: completedDepth, nodes: search.nodes };
+}
+
+// Helper function to get the search options of a strength level, optionally within a time budget
+function getLevelSearchOptions(level, maxTimeMs = Infinity) {
+    const settings = ENGINE_LEVELS[level] || ENGINE_LEVELS[3];
+    return {
+        depth: settings.depth,
+        timeLimitMs: Math.min(settings.timeLimitMs, maxTimeMs),
+        noise: settings.noise
+    };
+}
+
+// Find the move the engine plays at a strength level, optionally within a time budget (e.g. a running clock)
+function findBestMove(fen, level, maxTimeMs = Infinity) {
+    return searchPosition(fen, getLevelSearchOptions(level, maxTimeMs));
+}
+
+// A search blocks its thread for up to several seconds, so the bot runs them in worker threads
+// and keeps polling Telegram meanwhile. Each named worker searches one position at a time:
+// bot moves and hints share the 'play' worker, game analysis gets its own so it never delays a move.
+const searchWorkers = new Map();
+let nextSearchId = 1;
+
+// Helper function to reject the searches of a worker that failed and forget it (the next search starts a new one)
+function failSearchWorker(name, entry, error) {
+    if (searchWorkers.get(name) === entry) {
+        searchWorkers.delete(name);
+    }
+    for (const { reject } of entry.pending.values()) {
+        reject(error);
+    }
+    entry.pending.clear();
+}
+
+// Helper function to get (or start) a named search worker
+function getSearchWorker(name) {
+    if (searchWorkers.has(name)) {
+        return searchWorkers.get(name);
+    }
+
+    const worker = new Worker(__filename, { workerData: { engineSearchWorker: true } });
+    const entry = { worker, pending: new Map() };
+    searchWorkers.set(name, entry);
+
+    worker.on('message', ({ id, result, error }) => {
+        const request = entry.pending.get(id);
+        if (!request) {
+            return;
+        }
+        entry.pending.delete(id);
+        if (entry.pending.size === 0) {
+            worker.unref(); // An idle worker must not keep the process alive
+        }
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    });
+    worker.on('error', error => failSearchWorker(name, entry, error));
+    worker.on('exit', code => failSearchWorker(name, entry, new Error(`Engine worker '${name}' exited with code ${code}`)));
+    worker.unref();
+
+    return entry;
+}
+
+// Search a position in a worker thread, resolves with the same result as searchPosition
+function searchPositionAsync(fen, options = {}, workerName = 'play') {
+    const entry = getSearchWorker(workerName);
+    const id = nextSearchId++;
+
+    return new Promise((resolve, reject) => {
+        entry.pending.set(id, { resolve, reject });
+        entry.worker.ref();
+        entry.worker.postMessage({ id, fen, options });
+    });
+}
+
+// Find the engine's move in a worker thread, resolves with the same result as findBestMove
+function findBestMoveAsync(fen, level, maxTimeMs = Infinity) {
+    return searchPositionAsync(fen, getLevelSearchOptions(level, maxTimeMs), 'play');
+}
+
+// Inside a search worker: answer search requests from the bot
+if (parentPort && workerData && workerData.engineSearchWorker) {
+    parentPort.on('message', ({ id, fen, options }) => {
+        try {
+            parentPort.postMessage({ id, result: searchPosition(fen, options) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    ENGINE_LEVELS,
+    MATE_SCORE,
+    searchPosition,
+    findBestMove,
+    searchPositionAsync,
+    findBestMoveAsync
+};
@@ -1,13 +1,15 @@
 require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
-const { Chess } = require('chess.js');
+const { Chess, DEFAULT_POSITION, validateFen } = require('chess.js');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
-const { initDatabase, getActiveGames, getGameByChannelId, saveGame, deleteGame } = require('./database');
+const os = require('os');
+const { initDatabase, getActiveGames, getGameByChannelId, saveGame, saveMove, getMoves, deleteGame, savePlayer, getPlayers, saveChatSettings, getChatSettings } = require('./database');
+const { ENGINE_LEVELS, findBestMoveAsync, searchPositionAsync } = require('./engine');
 
-// Initialize database
-const db = initDatabase();
+// Database connection, opened and migrated at startup (see bottom of file)
+let db = null;
 
 // Initialize the bot with your Telegram Bot Token
 const token = process.env.BOT_TOKEN;
@@ -17,15 +19,47 @@ if (!token) {
     process.exit(1);
 }
 
-const bot = new TelegramBot(token, { polling: { autoStart: true, interval: 500 } });
+// Polling is started manually once saved games have been restored (see bottom of file)
+const bot = new TelegramBot(token, { polling: { autoStart: false, interval: 500 } });
 
 // Game state storage - stores active games per channel
 // Key: channelId (string), Value: { game, lastMove, players, whiteTeam, blackTeam, capturedPieces, resignVotes, drawVotes, moveHistory, channelMessageId, channelId, channelName }
+// players, whiteTeam, blackTeam and the vote lists hold Telegram user IDs (see playerNames for display names)
 const activeGames = new Map();
 
 // Map of user chatId to channelId for quick lookup (private chats to channels)
 const userToChannel = new Map();
 
+// Player registry: display names by Telegram user ID
+// Teams, votes and player lists store user IDs, names are looked up here so they stay current
+const playerNames = new Map();
+
+// Per-game move locks, see withGameLock
+// Key: game key (as in activeGames), Value: promise that settles when the last queued task is done
+const gameLocks = new Map();
+
+// Per-chat preferences by chatId (string), changed with /settings (see DEFAULT_CHAT_SETTINGS)
+const chatSettings = new Map();
+
+// Preferences of a chat that never used /settings
+const DEFAULT_CHAT_SETTINGS = {
+    jsonExport: false, // Also send the detailed JSON export after a game
+    orientation: 'auto', // Side at the bottom of the board: 'auto' (own team), 'white', 'black' or 'turn' (side to move)
+    theme: 'brown', // Key of BOARD_THEMES
+    pieceSet: 'cburnett', // Key of PIECE_SETS
+    boardSize: 'medium', // Key of BOARD_SIZES
+    coordinates: 'all', // Key of COORDINATE_STYLES
+    boardMode: 'image' // Key of BOARD_MODES
+};
+
+// Board orientation choices in /settings
+const ORIENTATION_OPTIONS = {
+    auto: 'My team',
+    white: 'White',
+    black: 'Black',
+    turn: 'Side to move'
+};
+
 // Piece values for captured pieces display
 const pieceValues = {
     'p': 1, 'n': 3, 'b': 3, 'r': 5, 'q': 9, 'k': 0,
@@ -37,12 +71,6 @@ const pieceSymbols = {
     'P': '♙', 'N': '♘', 'B': '♗', 'R': '♖', 'Q': '♕', 'K': '♔'
 };
 
-// Create temp directory for images
-const tempDir = path.join(__dirname, 'temp');
-if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-}
-
 // Unicode chess pieces for SVG (fallback)
 const pieceUnicode = {
     'p': '♟', 'n': '♞', 'b': '♝', 'r': '♜', 'q': '♛', 'k': '♚',
@@ -51,7 +79,7 @@ const pieceUnicode = {
 
 // Mapping from chess piece notation to SVG filenames
 // chess.js format: { color: 'w'|'b', type: 'p'|'n'|'b'|'r'|'q'|'k' }
-// SVG files: Chess_[type][lt|dt]45.svg where lt=light(white), dt=dark(black)
+// SVG files: assets/pieces/[set]/Chess_[type][lt|dt]45.svg where lt=light(white), dt=dark(black)
 const pieceSvgMap = {
     'P': 'Chess_plt45.svg', // white pawn
     'N': 'Chess_nlt45.svg', // white knight
@@ -67,21 +95,61 @@ const pieceSvgMap = {
     'k': 'Chess_kdt45.svg'  // black king
 };
 
-// Cache for loaded SVG content
+// Bundled piece sets (directories in assets/pieces), all drawn on a 45x45 canvas
+const PIECE_SETS = {
+    cburnett: 'Classic',
+    letters: 'Letters',
+    glyphs: 'Glyphs'
+};
+
+// Board color themes
+const BOARD_THEMES = {
+    brown: { name: 'Brown', light: '#f0d9b5', dark: '#b58863', background: '#f0d9b5', text: '#333' },
+    green: { name: 'Green', light: '#eeeed2', dark: '#769656', background: '#eeeed2', text: '#333' },
+    blue: { name: 'Blue', light: '#dee3e6', dark: '#8ca2ad', background: '#dee3e6', text: '#333' },
+    gray: { name: 'Gray', light: '#d9d9d9', dark: '#8f8f8f', background: '#3a3a3a', text: '#eee' }
+};
+
+// Width and height of the rendered board image (pixels)
+const BOARD_SIZES = {
+    small: { name: 'Small', pixels: 480 },
+    medium: { name: 'Medium', pixels: 720 },
+    large: { name: 'Large', pixels: 1024 }
+};
+
+// How boards are sent: a rendered image, or text for screen readers and slow connections
+const BOARD_MODES = {
+    image: 'Image',
+    text: 'Text'
+};
+
+// Piece names used by the text board
+const PIECE_NAMES = { k: 'King', q: 'Queen', r: 'Rook', b: 'Bishop', n: 'Knight', p: 'Pawn' };
+
+// Where rank and file labels are drawn
+const COORDINATE_STYLES = {
+    all: 'All sides',
+    two: 'Left and bottom',
+    inside: 'Inside squares',
+    none: 'None'
+};
+
+// Cache for loaded SVG content, keyed by "set/piece"
 const pieceSvgCache = new Map();
 
 // Helper function to load and extract SVG content from files
-function loadPieceSvg(pieceKey) {
-    if (pieceSvgCache.has(pieceKey)) {
-        return pieceSvgCache.get(pieceKey);
+function loadPieceSvg(pieceKey, pieceSet = 'cburnett') {
+    const cacheKey = `${pieceSet}/${pieceKey}`;
+    if (pieceSvgCache.has(cacheKey)) {
+        return pieceSvgCache.get(cacheKey);
     }
 
     const svgFile = pieceSvgMap[pieceKey];
-    if (!svgFile) {
+    if (!svgFile || !PIECE_SETS[pieceSet]) {
         return null;
     }
 
-    const svgPath = path.join(__dirname, 'assets', 'pieces', svgFile);
+    const svgPath = path.join(__dirname, 'assets', 'pieces', pieceSet, svgFile);
 
     try {
         if (!fs.existsSync(svgPath)) {
@@ -95,7 +163,7 @@ function loadPieceSvg(pieceKey) {
         const innerContentMatch = svgContent.match(/<svg[^>]*>([\s\S]*)<\/svg>/i);
         if (innerContentMatch && innerContentMatch[1]) {
             const innerContent = innerContentMatch[1].trim();
-            pieceSvgCache.set(pieceKey, innerContent);
+            pieceSvgCache.set(cacheKey, innerContent);
             return innerContent;
         }
 
@@ -129,11 +197,15 @@ function canMakeMove(gameState) {
 
     // Check if timer has expired
     const timeSinceRoundEnd = (Date.now() - gameState.roundEndTime) / 1000; // in seconds
-    const roundNumber = Math.floor(moveNumber / 2);
-    // First round (roundNumber=1) gets baseDelay only, subsequent rounds add increment
-    const requiredDelay = gameState.moveDelay.baseDelay + (gameState.moveDelay.increment * (roundNumber - 1));
 
-    return timeSinceRoundEnd >= requiredDelay;
+    return timeSinceRoundEnd >= getRoundDelay(gameState);
+}
+
+// Helper function to get the delay (in seconds) after the most recently completed round
+function getRoundDelay(gameState) {
+    const roundNumber = Math.floor((gameState.moveNumber || 0) / 2);
+    // First round (roundNumber=1) gets baseDelay only, subsequent rounds add increment
+    return gameState.moveDelay.baseDelay + (gameState.moveDelay.increment * (roundNumber - 1));
 }
 
 // Helper function to get remaining delay time
@@ -154,11 +226,8 @@ function getRemainingDelay(gameState) {
         return 0;
     }
 
-    const roundNumber = Math.floor(moveNumber / 2);
     const timeSinceRoundEnd = (Date.now() - gameState.roundEndTime) / 1000;
-    // First round (roundNumber=1) gets baseDelay only, subsequent rounds add increment
-    const requiredDelay = gameState.moveDelay.baseDelay + (gameState.moveDelay.increment * (roundNumber - 1));
-    const remaining = Math.max(0, requiredDelay - timeSinceRoundEnd);
+    const remaining = Math.max(0, getRoundDelay(gameState) - timeSinceRoundEnd);
 
     return Math.ceil(remaining);
 }
@@ -182,66 +251,262 @@ function formatTime(seconds) {
     return parts.join(' ') || `${seconds}s`;
 }
 
-// Helper function to evaluate chess position (material-based evaluation)
-// Returns positive for white advantage, negative for black advantage
-function evaluatePosition(game) {
-    if (game.isCheckmate()) {
-        return game.turn() === 'w' ? -10000 : 10000; // White to move and checkmate = black wins
+// Helper function to format a chess clock (seconds to h:mm:ss or m:ss)
+function formatClock(seconds) {
+    const total = Math.ceil(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Helper function to check if a game is played with chess clocks
+function isClockEnabled(gameState) {
+    return !!(gameState.timeControl && gameState.timeControl.enabled);
+}
+
+// Helper function to describe a time control, e.g. "5+3 Fischer"
+function formatTimeControl(timeControl) {
+    const minutes = timeControl.initialSeconds / 60;
+    const mode = timeControl.mode === 'bronstein' ? 'Bronstein' : 'Fischer';
+    return `${minutes}+${timeControl.incrementSeconds} ${mode}`;
+}
+
+// Helper function to get a side's remaining clock time in seconds
+// Only the side to move has a running clock, and only once White made the first move
+function getClockRemaining(gameState, side, now = Date.now()) {
+    let remaining = gameState.timeRemaining[side];
+    const sideToMove = gameState.game.turn() === 'w' ? 'white' : 'black';
+
+    if (side === sideToMove && gameState.clockStartedAt) {
+        remaining -= (now - gameState.clockStartedAt) / 1000;
     }
-    if (game.isDraw() || game.isStalemate()) {
-        return 0;
+    return Math.max(0, remaining);
+}
+
+// Helper function to stop the clock of the side that moved and start the opponent's
+// Fischer adds the full increment, Bronstein gives back the time used (up to the increment)
+function pressClock(gameState, side, now) {
+    if (!isClockEnabled(gameState)) {
+        return;
     }
 
-    const board = game.board();
-    let evaluation = 0;
+    const { mode, incrementSeconds } = gameState.timeControl;
+    if (gameState.clockStartedAt) {
+        const elapsed = (now - gameState.clockStartedAt) / 1000;
+        const bonus = mode === 'bronstein' ? Math.min(elapsed, incrementSeconds) : incrementSeconds;
+        gameState.timeRemaining[side] = Math.max(0, gameState.timeRemaining[side] - elapsed) + bonus;
+    }
+    gameState.clockStartedAt = now;
+}
 
-    for (let rank = 0; rank < 8; rank++) {
-        for (let file = 0; file < 8; file++) {
-            const piece = board[rank][file];
-            if (piece) {
-                const value = pieceValues[piece.type.toUpperCase()] || 0;
-                // Add piece-square table bonuses for better positional awareness
-                let positionalBonus = 0;
-
-                // Pawn structure bonus
-                if (piece.type === 'p' || piece.type === 'P') {
-                    // Center pawns are more valuable
-                    if (file >= 3 && file <= 4) {
-                        positionalBonus = 0.2;
-                    }
-                    // Advanced pawns get bonus (for white, rank 5-7; for black, rank 0-2)
-                    if (piece.color === 'w' && rank >= 4) {
-                        positionalBonus += 0.1 * (rank - 3);
-                    } else if (piece.color === 'b' && rank <= 3) {
-                        positionalBonus += 0.1 * (4 - rank);
-                    }
-                }
+// Helper function to get the side whose clock ran out, or null
+function getFlaggedSide(gameState) {
+    if (!isClockEnabled(gameState) || !gameState.clockStartedAt || gameState.result || gameState.game.isGameOver()) {
+        return null;
+    }
 
-                // King safety - penalize exposed kings
-                if (piece.type === 'k' || piece.type === 'K') {
-                    // Penalize king in center early game (simplified)
-                    if (file >= 2 && file <= 5 && rank >= 2 && rank <= 5) {
-                        positionalBonus = -0.5;
-                    }
-                }
+    const sideToMove = gameState.game.turn() === 'w' ? 'white' : 'black';
+    return getClockRemaining(gameState, sideToMove) <= 0 ? sideToMove : null;
+}
 
-                const totalValue = value + positionalBonus;
-                evaluation += piece.color === 'w' ? totalValue : -totalValue;
-            }
-        }
+// Helper function to check if a side still has pieces that can deliver checkmate
+// A bare king or a king with a single bishop or knight cannot win on time
+function hasMatingMaterial(game, color) {
+    const pieces = game.board().flat().filter(square => square && square.color === color && square.type !== 'k');
+
+    if (pieces.some(piece => piece.type === 'q' || piece.type === 'r' || piece.type === 'p')) {
+        return true;
     }
+    return pieces.length > 1;
+}
 
-    // Check bonus
-    if (game.isCheck()) {
-        evaluation += game.turn() === 'w' ? -0.5 : 0.5;
+// Helper function to get the result when a side runs out of time
+function getTimeoutResult(game, flaggedSide) {
+    const flaggedTeam = flaggedSide === 'white' ? 'White' : 'Black';
+    const winningTeam = flaggedSide === 'white' ? 'Black' : 'White';
+
+    if (!hasMatingMaterial(game, flaggedSide === 'white' ? 'b' : 'w')) {
+        return {
+            score: '1/2-1/2',
+            reason: `${flaggedTeam} ran out of time - Draw (${winningTeam} has insufficient material)`,
+            termination: 'time forfeit'
+        };
+    }
+    return {
+        score: flaggedSide === 'white' ? '0-1' : '1-0',
+        reason: `${flaggedTeam} ran out of time - ${winningTeam} wins on time`,
+        termination: 'time forfeit'
+    };
+}
+
+// Vacation days each player may spend in a correspondence game
+const DEFAULT_VACATION_DAYS = 14;
+
+// Helper function to format a deadline timestamp, e.g. "2024-05-01 18:30 UTC"
+function formatDeadline(timestamp) {
+    return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Helper function to set the move deadline of the side that is now to move (correspondence games)
+// A team on vacation only starts counting its days per move once the vacation ends
+function startCorrespondenceTurn(gameState, side, now) {
+    const { correspondence } = gameState;
+    if (!correspondence) {
+        return;
     }
 
-    return evaluation;
+    const turnStart = Math.max(now, correspondence.vacationUntil[side] || 0);
+    correspondence.turnDeadline = turnStart + correspondence.daysPerMove * 86400 * 1000;
+}
+
+// Helper function to get the side that missed its correspondence deadline, or null
+function getForfeitedSide(gameState) {
+    const { correspondence } = gameState;
+    if (!correspondence || !correspondence.turnDeadline || gameState.result || gameState.game.isGameOver()) {
+        return null;
+    }
+
+    return Date.now() >= correspondence.turnDeadline ? (gameState.game.turn() === 'w' ? 'white' : 'black') : null;
+}
+
+// Helper function to get a player's unused vacation days
+function getVacationDaysLeft(gameState, userId) {
+    const daysLeft = gameState.correspondence.vacationDaysLeft[String(userId)];
+    return daysLeft === undefined ? DEFAULT_VACATION_DAYS : daysLeft;
+}
+
+// Helper function to spend vacation days of a player, which pauses their team's deadline
+function takeVacation(gameState, userId, side, days, now = Date.now()) {
+    const { correspondence } = gameState;
+    const pause = days * 86400 * 1000;
+
+    correspondence.vacationDaysLeft[String(userId)] = getVacationDaysLeft(gameState, userId) - days;
+    correspondence.vacationUntil[side] = Math.max(now, correspondence.vacationUntil[side] || 0) + pause;
+
+    // A running deadline of the team moves back by the vacation
+    const sideToMove = gameState.game.turn() === 'w' ? 'white' : 'black';
+    if (side === sideToMove && correspondence.turnDeadline) {
+        correspondence.turnDeadline += pause;
+    }
+}
+
+// Helper function to describe the correspondence deadline for captions and join messages
+function formatCorrespondenceStatus(gameState) {
+    const { correspondence } = gameState;
+    const sideToMove = gameState.game.turn() === 'w' ? 'white' : 'black';
+    const teamName = sideToMove === 'white' ? 'White' : 'Black';
+    let statusText = `📬 Correspondence: ${formatTime(correspondence.daysPerMove * 86400)} per move`;
+
+    if (correspondence.turnDeadline) {
+        const remaining = Math.max(0, Math.ceil((correspondence.turnDeadline - Date.now()) / 1000));
+        statusText += `\n⏰ ${teamName} must move by ${formatDeadline(correspondence.turnDeadline)} (${formatTime(remaining)} left)`;
+    } else {
+        statusText += `\nThe deadline starts after White's first move`;
+    }
+
+    ['white', 'black'].forEach(side => {
+        if (correspondence.vacationUntil[side] > Date.now()) {
+            statusText += `\n🏖️ ${side === 'white' ? 'White' : 'Black'} team on vacation until ${formatDeadline(correspondence.vacationUntil[side])}`;
+        }
+    });
+
+    return statusText;
+}
+
+// Post-game analysis searches every position to this depth
+const ANALYSIS_DEPTH = 3;
+
+// Safety limit per analysed position (milliseconds)
+const ANALYSIS_TIME_LIMIT = 1500;
+
+// Time for the whole analysis, shared by its searches so long games are analysed faster
+// and less deeply instead of keeping players waiting for the report (milliseconds)
+const ANALYSIS_TIME_BUDGET = 60000;
+
+// Scores beyond this (forced mates) are clamped when comparing moves (centipawns)
+const ANALYSIS_SCORE_CAP = 1000;
+
+// Move classes by centipawn loss compared with the best move found (upper bounds, first match wins)
+const MOVE_CLASSIFICATIONS = [
+    { name: 'best', maxLoss: 10 },
+    { name: 'good', maxLoss: 50 },
+    { name: 'inaccuracy', maxLoss: 100 },
+    { name: 'mistake', maxLoss: 300 },
+    { name: 'blunder', maxLoss: Infinity }
+];
+
+// Helper function to classify a move by its centipawn loss
+function classifyMove(cpLoss) {
+    return MOVE_CLASSIFICATIONS.find(classification => cpLoss <= classification.maxLoss).name;
+}
+
+// Helper function to convert a score (centipawns, mover's point of view) to a winning chance in percent
+function getWinPercent(cp) {
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+// Helper function to get the accuracy of a move (0-100) from the winning chances before and after it
+function getMoveAccuracy(winPercentBefore, winPercentAfter) {
+    const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, winPercentBefore - winPercentAfter)) - 3.1669;
+    return Math.max(0, Math.min(100, accuracy));
+}
+
+// Helper function to get the result of a game: { score, reason }
+// Results decided off the board (resignation, draw agreement) are stored in gameState.result
+// termination names how the game ended, for the PGN Termination header
+function getGameResult(gameState) {
+    const { game } = gameState;
+
+    if (gameState.result) {
+        return gameState.result;
+    }
+    if (game.isCheckmate()) {
+        return game.turn() === 'w'
+            ? { score: '0-1', reason: 'Black wins by checkmate', termination: 'checkmate' }
+            : { score: '1-0', reason: 'White wins by checkmate', termination: 'checkmate' };
+    }
+    if (game.isStalemate()) {
+        return { score: '1/2-1/2', reason: 'Stalemate - Draw', termination: 'stalemate' };
+    }
+    if (game.isInsufficientMaterial()) {
+        return { score: '1/2-1/2', reason: 'Draw by insufficient material', termination: 'insufficient material' };
+    }
+    if (game.isThreefoldRepetition()) {
+        return { score: '1/2-1/2', reason: 'Draw by threefold repetition', termination: 'threefold repetition' };
+    }
+    if (game.isDraw()) {
+        return { score: '1/2-1/2', reason: 'Draw by the fifty-move rule', termination: 'fifty-move rule' };
+    }
+    return { score: '*', reason: 'Game ended', termination: 'unterminated' };
+}
+
+// Helper function to create empty analytics stats for a player
+function createPlayerStats(name) {
+    return {
+        name,
+        moves: 0,
+        whiteMoves: 0,
+        blackMoves: 0,
+        captures: 0,
+        checks: 0,
+        classifications: { best: 0, good: 0, inaccuracy: 0, mistake: 0, blunder: 0 },
+        accuracySum: 0,
+        accuracy: null
+    };
 }
 
 // Helper function to generate comprehensive game analytics
+// Every position is searched once: its score is the best the side to move can do, and the
+// negated score of the next position is what the played move achieved
 async function generateGameAnalytics(gameState) {
-    const { game, moveHistory, whiteTeam, blackTeam } = gameState;
+    const { moveHistory, whiteTeam, blackTeam } = gameState;
+
+    // The analysis is expensive and a finished game is reported to several chats
+    if (gameState.analyticsCache && gameState.analyticsCache.plies === moveHistory.length) {
+        return gameState.analyticsCache.analytics;
+    }
 
     // Initialize analytics data
     const analytics = {
@@ -249,8 +514,10 @@ async function generateGameAnalytics(gameState) {
         whiteTeam: whiteTeam || [],
         blackTeam: blackTeam || [],
         playerStats: {},
-        bestMoves: [],
+        moveEvaluations: [],
+        evaluations: [], // Score of every position in centipawns from White's point of view
         blunders: [],
+        accuracy: { white: null, black: null },
         captures: { white: 0, black: 0 },
         promotions: [],
         checks: 0,
@@ -259,227 +526,261 @@ async function generateGameAnalytics(gameState) {
     };
 
     // Determine game result
-    if (game.isCheckmate()) {
-        analytics.gameResult = game.turn() === 'w' ? 'Black wins by checkmate' : 'White wins by checkmate';
-    } else if (game.isDraw()) {
-        analytics.gameResult = 'Draw';
-    } else if (game.isStalemate()) {
-        analytics.gameResult = 'Stalemate - Draw';
-    } else {
-        analytics.gameResult = 'Game ended';
-    }
-
-    // Initialize player stats
-    [...whiteTeam, ...blackTeam].forEach(player => {
-        analytics.playerStats[player] = {
-            moves: 0,
-            whiteMoves: 0,
-            blackMoves: 0,
-            captures: 0,
-            bestMoves: 0,
-            blunders: 0,
-            checks: 0
-        };
-    });
-
-    // Replay game to calculate evaluations
-    const tempGame = new Chess();
-    const moveEvaluations = [];
+    analytics.gameResult = getGameResult(gameState).reason;
 
-    // Calculate evaluation for each move
-    for (let i = 0; i < moveHistory.length; i++) {
-        const moveData = moveHistory[i];
-        const player = moveData.player;
-        const side = i % 2 === 0 ? 'white' : 'black';
+    // Initialize player stats (keyed by user ID)
+    [...whiteTeam, ...blackTeam].forEach(playerId => {
+        analytics.playerStats[playerId] = createPlayerStats(getPlayerName(playerId));
+    });
 
-        // Get evaluation before move
-        const evaluationBefore = evaluatePosition(tempGame);
+    // Replay the game to collect every position
+    const tempGame = new Chess(getStartFen(gameState));
+    const positions = [tempGame.fen()];
+    const playedMoves = [];
 
-        // Parse and make the move - use stored from/to if available, otherwise parse
-        let from, to;
-        if (moveData.from && moveData.to) {
-            from = moveData.from;
-            to = moveData.to;
-        } else {
+    for (const moveData of moveHistory) {
+        // Use stored from/to if available, otherwise parse
+        let from = moveData.from;
+        let to = moveData.to;
+        if (!from || !to) {
             const moveMatch = moveData.move.match(/(\w+) → (\w+)/);
-            if (moveMatch) {
-                from = moveMatch[1];
-                to = moveMatch[2];
-            } else {
-                continue; // Skip if we can't parse
+            if (!moveMatch) {
+                break;
             }
+            [, from, to] = moveMatch;
         }
 
         try {
-            const move = tempGame.move({ from, to });
-            if (move) {
-                const evaluationAfter = evaluatePosition(tempGame);
-                const evaluationDelta = side === 'white'
-                    ? (evaluationAfter - evaluationBefore)
-                    : (evaluationBefore - evaluationAfter); // Invert for black
-
-                // Update player stats
-                if (!analytics.playerStats[player]) {
-                    analytics.playerStats[player] = {
-                        moves: 0,
-                        whiteMoves: 0,
-                        blackMoves: 0,
-                        captures: 0,
-                        bestMoves: 0,
-                        blunders: 0,
-                        checks: 0
-                    };
-                }
-
-                analytics.playerStats[player].moves++;
-                if (side === 'white') {
-                    analytics.playerStats[player].whiteMoves++;
-                } else {
-                    analytics.playerStats[player].blackMoves++;
-                }
-
-                if (move.captured) {
-                    analytics.playerStats[player].captures++;
-                    if (side === 'white') {
-                        analytics.captures.white++;
-                    } else {
-                        analytics.captures.black++;
-                    }
-                }
-
-                if (move.promotion) {
-                    analytics.promotions.push({
-                        player,
-                        move: `${from}→${to}`,
-                        promotion: move.promotion.toUpperCase()
-                    });
-                }
-
-                if (move.inCheck) {
-                    analytics.checks++;
-                    analytics.playerStats[player].checks++;
-                }
-
-                if (move.flags && move.flags.includes('k')) {
-                    if (side === 'white') {
-                        analytics.castling.white = true;
-                    } else {
-                        analytics.castling.black = true;
-                    }
-                }
-
-                moveEvaluations.push({
-                    moveNumber: i + 1,
-                    player,
-                    side,
-                    move: `${from}→${to}`,
-                    evaluationBefore,
-                    evaluationAfter,
-                    evaluationDelta,
-                    captured: move.captured,
-                    promotion: move.promotion
-                });
-            }
+            const move = tempGame.move({ from, to, promotion: moveData.promotion || undefined });
+            playedMoves.push({ moveData, move });
+            positions.push(tempGame.fen());
         } catch (error) {
             console.error('Error replaying move for analytics:', error);
+            break;
         }
     }
 
-    // Find best moves (biggest positive evaluation changes)
-    const sortedBestMoves = [...moveEvaluations]
-        .filter(m => m.evaluationDelta > 0)
-        .sort((a, b) => b.evaluationDelta - a.evaluationDelta)
-        .slice(0, 5);
+    // Search every position in the analysis worker, each search gets its share of the remaining budget
+    // (counting one more search per played move for the moves that were not the best)
+    const deadline = Date.now() + ANALYSIS_TIME_BUDGET;
+    const getTimeLimit = searchesLeft => Math.max(50, Math.min(ANALYSIS_TIME_LIMIT, (deadline - Date.now()) / searchesLeft));
+    const searches = [];
+    for (let i = 0; i < positions.length; i++) {
+        searches.push(await searchPositionAsync(positions[i], { depth: ANALYSIS_DEPTH, timeLimitMs: getTimeLimit(positions.length - i + playedMoves.length) }, 'analysis'));
+    }
 
-    analytics.bestMoves = sortedBestMoves.map(m => ({
-        move: m.move,
-        player: m.player,
-        side: m.side,
-        improvement: m.evaluationDelta.toFixed(2),
-        moveNumber: m.moveNumber
-    }));
+    const clampScore = score => Math.max(-ANALYSIS_SCORE_CAP, Math.min(ANALYSIS_SCORE_CAP, score));
+    analytics.evaluations = searches.map((search, index) =>
+        clampScore(positions[index].split(' ')[1] === 'w' ? search.score : -search.score)
+    );
 
-    // Find blunders (biggest negative evaluation changes)
-    const sortedBlunders = [...moveEvaluations]
-        .filter(m => m.evaluationDelta < -1.0) // Only consider significant losses (>1 point)
-        .sort((a, b) => a.evaluationDelta - b.evaluationDelta)
-        .slice(0, 5);
+    const sideAccuracy = { white: [], black: [] };
+
+    for (const [i, { moveData, move }] of playedMoves.entries()) {
+        // Moves recorded before user IDs were tracked only carry a name
+        const playerId = moveData.userId != null ? moveData.userId : moveData.player;
+        const player = getMovePlayerName(moveData);
+        const side = move.color === 'w' ? 'white' : 'black';
+        const uci = `${move.from}${move.to}${move.promotion || ''}`;
+        const bestMove = searches[i].move;
+
+        // Both scores from the mover's point of view, the position after the played move is one ply
+        // deeper so it is searched one ply less than the position before it
+        const bestScore = clampScore(searches[i].score);
+        const playedScore = bestMove && bestMove.uci === uci
+            ? bestScore
+            : clampScore(-(await searchPositionAsync(positions[i + 1], {
+                depth: ANALYSIS_DEPTH - 1,
+                timeLimitMs: getTimeLimit(playedMoves.length - i)
+            }, 'analysis')).score);
+        const cpLoss = Math.max(0, bestScore - playedScore);
+        const classification = classifyMove(cpLoss);
+        const accuracy = getMoveAccuracy(getWinPercent(bestScore), getWinPercent(playedScore));
+
+        if (!analytics.playerStats[playerId]) {
+            analytics.playerStats[playerId] = createPlayerStats(player);
+        }
 
-    analytics.blunders = sortedBlunders.map(m => ({
-        move: m.move,
-        player: m.player,
-        side: m.side,
-        loss: Math.abs(m.evaluationDelta).toFixed(2),
-        moveNumber: m.moveNumber
-    }));
+        const stats = analytics.playerStats[playerId];
+        stats.moves++;
+        if (side === 'white') {
+            stats.whiteMoves++;
+        } else {
+            stats.blackMoves++;
+        }
+        stats.classifications[classification]++;
+        stats.accuracySum += accuracy;
+        sideAccuracy[side].push(accuracy);
 
-    // Update best moves and blunders count
-    sortedBestMoves.forEach(m => {
-        if (analytics.playerStats[m.player]) {
-            analytics.playerStats[m.player].bestMoves++;
+        if (move.captured) {
+            stats.captures++;
+            analytics.captures[side]++;
         }
-    });
 
-    sortedBlunders.forEach(m => {
-        if (analytics.playerStats[m.player]) {
-            analytics.playerStats[m.player].blunders++;
+        if (move.promotion) {
+            analytics.promotions.push({
+                player,
+                move: `${move.from}→${move.to}`,
+                promotion: move.promotion.toUpperCase()
+            });
+        }
+
+        if (move.san.includes('+') || move.san.includes('#')) {
+            analytics.checks++;
+            stats.checks++;
         }
+
+        if (move.flags.includes('k') || move.flags.includes('q')) {
+            analytics.castling[side] = true;
+        }
+
+        analytics.moveEvaluations.push({
+            moveNumber: i + 1,
+            playerId,
+            player,
+            side,
+            move: `${move.from}→${move.to}`,
+            san: move.san,
+            bestMove: bestMove ? bestMove.uci : null,
+            evaluationBefore: analytics.evaluations[i],
+            evaluationAfter: analytics.evaluations[i + 1],
+            cpLoss,
+            classification,
+            accuracy,
+            captured: move.captured,
+            promotion: move.promotion
+        });
+    }
+
+    // Accuracy is the average accuracy of a player's (or side's) moves
+    Object.values(analytics.playerStats).forEach(stats => {
+        stats.accuracy = stats.moves > 0 ? stats.accuracySum / stats.moves : null;
     });
+    ['white', 'black'].forEach(side => {
+        const accuracies = sideAccuracy[side];
+        analytics.accuracy[side] = accuracies.length > 0
+            ? accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length
+            : null;
+    });
+
+    // The costliest mistakes and blunders
+    analytics.blunders = analytics.moveEvaluations
+        .filter(m => m.classification === 'mistake' || m.classification === 'blunder')
+        .sort((a, b) => b.cpLoss - a.cpLoss)
+        .slice(0, 5);
 
+    gameState.analyticsCache = { plies: moveHistory.length, analytics };
     return analytics;
 }
 
+// Helper function to get the position a game started from
+function getStartFen(gameState) {
+    return gameState.startFen || DEFAULT_POSITION;
+}
+
+// Helper function to quote a PGN tag value
+function formatPgnTag(name, value) {
+    return `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+}
+
+// Helper function to describe the time control in PGN notation
+// (seconds+increment, moves/seconds for correspondence, "-" for the round timer)
+function getPgnTimeControl(gameState) {
+    if (isClockEnabled(gameState)) {
+        const { initialSeconds, incrementSeconds } = gameState.timeControl;
+        return incrementSeconds > 0 ? `${initialSeconds}+${incrementSeconds}` : `${initialSeconds}`;
+    }
+    if (gameState.correspondence) {
+        return `1/${gameState.correspondence.daysPerMove * 24 * 60 * 60}`;
+    }
+    return '-';
+}
+
 // Helper function to export game data in PGN format (for external analysis)
+// Built from the stored move list, so it works for reloaded games and custom start positions
 function exportGamePGN(gameState) {
-    const { game, whiteTeam, blackTeam, moveHistory } = gameState;
+    const { whiteTeam, blackTeam, moveHistory } = gameState;
+    const startFen = getStartFen(gameState);
+    const result = getGameResult(gameState);
+    const startDate = gameState.startedAt ? new Date(gameState.startedAt) : null;
 
     // Create PGN headers
     const pgn = [];
-    pgn.push(`[Event "Telegram Chess Bot Game"]`);
-    pgn.push(`[Site "Telegram"]`);
-    pgn.push(`[Date "${new Date().toISOString().split('T')[0]}"]`);
-    pgn.push(`[Round "1"]`);
-    pgn.push(`[White "${whiteTeam.join(', ')}"]`);
-    pgn.push(`[Black "${blackTeam.join(', ')}"]`);
-
-    // Add result
-    if (game.isCheckmate()) {
-        pgn.push(`[Result "${game.turn() === 'w' ? '0-1' : '1-0'}"]`);
-    } else if (game.isDraw() || game.isStalemate()) {
-        pgn.push(`[Result "1/2-1/2"]`);
-    } else {
-        pgn.push(`[Result "*"]`);
+    pgn.push(formatPgnTag('Event', 'Telegram Chess Bot Game'));
+    pgn.push(formatPgnTag('Site', gameState.channelName ? `Telegram - ${gameState.channelName}` : 'Telegram'));
+    pgn.push(formatPgnTag('Date', startDate ? startDate.toISOString().slice(0, 10).replace(/-/g, '.') : '????.??.??'));
+    pgn.push(formatPgnTag('Round', '1'));
+    pgn.push(formatPgnTag('White', formatTeam(whiteTeam, '?')));
+    pgn.push(formatPgnTag('Black', formatTeam(blackTeam, '?')));
+    pgn.push(formatPgnTag('Result', result.score));
+    if (startFen !== DEFAULT_POSITION) {
+        pgn.push(formatPgnTag('SetUp', '1'));
+        pgn.push(formatPgnTag('FEN', startFen));
     }
+    pgn.push(formatPgnTag('TimeControl', getPgnTimeControl(gameState)));
+    pgn.push(formatPgnTag('Termination', result.termination || 'unterminated'));
+    pgn.push(formatPgnTag('PlyCount', moveHistory.length));
 
     pgn.push(``);
 
-    // Export moves from chess.js (it handles PGN notation automatically)
-    const pgnMoves = game.pgn();
-    pgn.push(pgnMoves);
+    // Replay the stored moves for their SAN, each followed by a comment naming who played it
+    const tempGame = new Chess(startFen);
+    const tokens = [];
 
-    // Add result at the end
-    if (game.isCheckmate()) {
-        pgn.push(` ${game.turn() === 'w' ? '0-1' : '1-0'}`);
-    } else if (game.isDraw() || game.isStalemate()) {
-        pgn.push(` 1/2-1/2`);
+    // Games started from an imported PGN note the moves that led to the start position
+    const preGameMoves = gameState.settings && gameState.settings.preGameMoves;
+    if (preGameMoves) {
+        tokens.push(...`{Started from the position after ${preGameMoves.replace(/[{}]/g, '')}}`.split(' '));
     }
 
-    return pgn.join('\n');
+    for (const moveData of moveHistory) {
+        const moveNumber = tempGame.moveNumber();
+        const isWhite = tempGame.turn() === 'w';
+        let move;
+        try {
+            move = tempGame.move({ from: moveData.from, to: moveData.to, promotion: moveData.promotion || undefined });
+        } catch (error) {
+            console.error('Error replaying move for PGN:', error);
+            break;
+        }
+
+        // The comment after every move interrupts the move pair, so Black's moves repeat the number
+        tokens.push(isWhite ? `${moveNumber}.` : `${moveNumber}...`);
+        tokens.push(move.san);
+        tokens.push(`{${getMovePlayerName(moveData).replace(/[{}]/g, '')}}`);
+    }
+    tokens.push(result.score);
+
+    // Wrap the movetext at 80 characters
+    const lines = [];
+    let line = '';
+    tokens.forEach(token => {
+        if (line && line.length + token.length + 1 > 79) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    });
+    lines.push(line);
+
+    return pgn.concat(lines).join('\n') + '\n';
 }
 
 // Helper function to export game data as JSON
-function exportGameJSON(gameState) {
+// Evaluations come from the post-game analysis (in pawns, from White's point of view)
+function exportGameJSON(gameState, analytics) {
     const { game, whiteTeam, blackTeam, moveHistory, capturedPieces } = gameState;
 
     // Recreate full game history with detailed move info
-    const tempGame = new Chess();
+    const tempGame = new Chess(getStartFen(gameState));
     const detailedMoves = [];
 
     // Add initial position
     detailedMoves.push({
         moveNumber: 0,
-        fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
-        evaluation: evaluatePosition(tempGame)
+        fen: getStartFen(gameState),
+        evaluation: analytics.evaluations.length > 0 ? analytics.evaluations[0] / 100 : 0
     });
 
     // Replay all moves
@@ -501,12 +802,13 @@ function exportGameJSON(gameState) {
         }
 
         try {
-            const move = tempGame.move({ from, to });
+            const move = tempGame.move({ from, to, promotion: moveData.promotion || undefined });
             if (move) {
-                const evaluation = evaluatePosition(tempGame);
+                const moveEvaluation = analytics.moveEvaluations[i];
                 detailedMoves.push({
                     moveNumber: i + 1,
-                    player: moveData.player,
+                    player: getMovePlayerName(moveData),
+                    userId: moveData.userId || null,
                     move: {
                         from: move.from,
                         to: move.to,
@@ -519,8 +821,10 @@ function exportGameJSON(gameState) {
                         timestamp: moveData.timestamp || null
                     },
                     fen: tempGame.fen(),
-                    evaluation: evaluation,
-                    side: i % 2 === 0 ? 'white' : 'black'
+                    evaluation: moveEvaluation ? moveEvaluation.evaluationAfter / 100 : null,
+                    bestMove: moveEvaluation ? moveEvaluation.bestMove : null,
+                    classification: moveEvaluation ? moveEvaluation.classification : null,
+                    side: move.color === 'w' ? 'white' : 'black'
                 });
             }
         } catch (error) {
@@ -530,14 +834,18 @@ function exportGameJSON(gameState) {
 
     const gameData = {
         metadata: {
-            whiteTeam: whiteTeam || [],
-            blackTeam: blackTeam || [],
-            result: game.isCheckmate()
-                ? (game.turn() === 'w' ? '0-1' : '1-0')
-                : (game.isDraw() || game.isStalemate() ? '1/2-1/2' : '*'),
+            whiteTeam: (whiteTeam || []).map(playerId => getPlayerName(playerId)),
+            blackTeam: (blackTeam || []).map(playerId => getPlayerName(playerId)),
+            whiteTeamIds: whiteTeam || [],
+            blackTeamIds: blackTeam || [],
+            result: getGameResult(gameState).score,
+            resultReason: getGameResult(gameState).reason,
+            termination: getGameResult(gameState).termination,
+            startFen: getStartFen(gameState),
+            preGameMoves: (gameState.settings && gameState.settings.preGameMoves) || null,
             totalMoves: moveHistory.length,
             capturedPieces: capturedPieces || { white: [], black: [] },
-            date: new Date().toISOString()
+            date: new Date(gameState.startedAt || Date.now()).toISOString()
         },
         moves: detailedMoves
     };
@@ -545,6 +853,27 @@ function exportGameJSON(gameState) {
     return JSON.stringify(gameData, null, 2);
 }
 
+// Helper function to build the file name of a game export, e.g. "My_Channel_2024-05-01.pgn"
+function getExportFileName(gameState, extension) {
+    const name = String(gameState.channelName || gameState.channelId || 'chess_game')
+        .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+        .replace(/^_+|_+$/g, '') || 'chess_game';
+    const date = new Date(gameState.startedAt || Date.now()).toISOString().slice(0, 10);
+    return `${name}_${date}.${extension}`;
+}
+
+// Helper function to format a player's move classification counts for the analytics report
+function formatClassificationCounts(classifications) {
+    return `   ✅ ${classifications.best} best, 👍 ${classifications.good} good, ` +
+        `⚠️ ${classifications.inaccuracy} inaccuracies, ❌ ${classifications.mistake} mistakes, ` +
+        `💥 ${classifications.blunder} blunders`;
+}
+
+// Helper function to format a side's accuracy for a team heading
+function formatSideAccuracy(accuracy) {
+    return accuracy === null ? '' : ` (${accuracy.toFixed(1)}% accuracy)`;
+}
+
 // Helper function to format and display analytics
 async function displayGameAnalytics(chatId, gameState) {
     try {
@@ -567,41 +896,57 @@ async function displayGameAnalytics(chatId, gameState) {
 
         // White team moves
         const whitePlayers = playersByMoves
-            .filter(([player]) => analytics.whiteTeam.includes(player))
-            .map(([player, stats]) => ({
-                player,
+            .filter(([playerId]) => isTeamMember(analytics.whiteTeam, playerId))
+            .map(([, stats]) => ({
+                player: stats.name,
                 moves: stats.whiteMoves,
                 stats
             }))
             .sort((a, b) => b.moves - a.moves);
 
         if (whitePlayers.length > 0) {
-            report += `⚪ WHITE TEAM:\n`;
+            report += `⚪ WHITE TEAM${formatSideAccuracy(analytics.accuracy.white)}:\n`;
             whitePlayers.forEach(({ player, moves, stats }, index) => {
                 report += `${index + 1}. ${player}: ${moves} moves`;
+                if (stats.accuracy !== null) report += `, ${stats.accuracy.toFixed(1)}% accuracy`;
                 if (stats.captures > 0) report += `, ${stats.captures} captures`;
                 if (stats.checks > 0) report += `, ${stats.checks} checks`;
-                report += `\n`;
+                report += `\n${formatClassificationCounts(stats.classifications)}\n`;
             });
             report += `\n`;
         }
 
         // Black team moves
         const blackPlayers = playersByMoves
-            .filter(([player]) => analytics.blackTeam.includes(player))
-            .map(([player, stats]) => ({
-                player,
+            .filter(([playerId]) => isTeamMember(analytics.blackTeam, playerId))
+            .map(([, stats]) => ({
+                player: stats.name,
                 moves: stats.blackMoves,
                 stats
             }))
             .sort((a, b) => b.moves - a.moves);
 
         if (blackPlayers.length > 0) {
-            report += `⚫ BLACK TEAM:\n`;
+            report += `⚫ BLACK TEAM${formatSideAccuracy(analytics.accuracy.black)}:\n`;
             blackPlayers.forEach(({ player, moves, stats }, index) => {
                 report += `${index + 1}. ${player}: ${moves} moves`;
+                if (stats.accuracy !== null) report += `, ${stats.accuracy.toFixed(1)}% accuracy`;
                 if (stats.captures > 0) report += `, ${stats.captures} captures`;
                 if (stats.checks > 0) report += `, ${stats.checks} checks`;
+                report += `\n${formatClassificationCounts(stats.classifications)}\n`;
+            });
+            report += `\n`;
+        }
+
+        // Mistakes and blunders with the move the analysis preferred
+        if (analytics.blunders.length > 0) {
+            report += `🔍 KEY MISTAKES\n`;
+            report += `─────────────────────\n`;
+            analytics.blunders.forEach(m => {
+                const moveNumber = Math.ceil(m.moveNumber / 2);
+                report += `${moveNumber}${m.side === 'white' ? '.' : '...'} ${m.san} (${m.player}) - ${m.classification}, `;
+                report += `-${(m.cpLoss / 100).toFixed(2)}`;
+                if (m.bestMove) report += `, best was ${m.bestMove}`;
                 report += `\n`;
             });
             report += `\n`;
@@ -631,60 +976,64 @@ async function displayGameAnalytics(chatId, gameState) {
         report += `\n═══════════════════════════════\n`;
         report += `Thanks for playing! 🎉`;
 
+        // Render the evaluation graph once, it is sent with every copy of the report
+        let graph = null;
+        if (analytics.moveEvaluations.length > 0) {
+            try {
+                graph = await generateEvaluationGraph(analytics);
+            } catch (error) {
+                console.error('Error generating evaluation graph:', error);
+            }
+        }
+
+        // Helper function to send the report together with the evaluation graph
+        const sendReport = async (targetChatId) => {
+            if (graph) {
+                try {
+                    await bot.sendPhoto(targetChatId, graph,
+                        { caption: '📈 Evaluation by move (+ White better, - Black better)' },
+                        { filename: 'evaluation.png', contentType: 'image/png' }
+                    );
+                } catch (error) {
+                    console.error(`Error sending evaluation graph to ${targetChatId}:`, error);
+                }
+            }
+            await bot.sendMessage(targetChatId, report);
+        };
+
         // Send the report
-        await bot.sendMessage(chatId, report);
+        await sendReport(chatId);
 
         // Export game data for external analysis
         const pgn = exportGamePGN(gameState);
-        const json = exportGameJSON(gameState);
+        const json = exportGameJSON(gameState, analytics);
 
-        // Helper function to send export data
+        // Helper function to send export data as files
         const sendExportData = async (targetChatId) => {
+            const { jsonExport } = getSettingsForChat(targetChatId);
+
+            // Send PGN (most external engines accept this)
             try {
-                // Send PGN (most external engines accept this)
-                await bot.sendMessage(targetChatId,
-                    `📄 GAME DATA FOR EXTERNAL ANALYSIS\n\n` +
-                    `Copy the PGN below to analyze with Stockfish, Lichess, Chess.com, etc:\n\n` +
-                    `\`\`\`\n${pgn}\n\`\`\``,
-                    { parse_mode: 'Markdown' }
+                await bot.sendDocument(targetChatId, Buffer.from(pgn),
+                    {
+                        caption: `📄 Game PGN - open it with Stockfish, Lichess, Chess.com, etc.` +
+                            (jsonExport ? '' : `\n\n📊 Use /settings to also receive the detailed JSON data.`)
+                    },
+                    { filename: getExportFileName(gameState, 'pgn'), contentType: 'application/x-chess-pgn' }
                 );
-
-                // Send JSON data (may be split if too long)
-                const maxMessageLength = 4000; // Telegram message limit is ~4096
-                if (json.length > maxMessageLength) {
-                    // Split into chunks
-                    const chunks = [];
-                    for (let i = 0; i < json.length; i += maxMessageLength - 100) {
-                        chunks.push(json.substring(i, i + maxMessageLength - 100));
-                    }
-                    await bot.sendMessage(targetChatId,
-                        `📊 Detailed JSON Data (Part 1/${chunks.length}):\n\n` +
-                        `\`\`\`json\n${chunks[0]}\n\`\`\``,
-                        { parse_mode: 'Markdown' }
-                    );
-                    for (let i = 1; i < chunks.length; i++) {
-                        await bot.sendMessage(targetChatId,
-                            `📊 JSON Data (Part ${i + 1}/${chunks.length}):\n\n` +
-                            `\`\`\`json\n${chunks[i]}\n\`\`\``,
-                            { parse_mode: 'Markdown' }
-                        );
-                    }
-                } else {
-                    await bot.sendMessage(targetChatId,
-                        `📊 Detailed JSON Data (for custom analysis):\n\n` +
-                        `\`\`\`json\n${json}\n\`\`\``,
-                        { parse_mode: 'Markdown' }
-                    );
-                }
             } catch (error) {
-                console.error(`Error sending export data to ${targetChatId}:`, error);
-                // Fallback: send without markdown formatting if it fails
+                console.error(`Error sending PGN to ${targetChatId}:`, error);
+            }
+
+            // Send JSON data only to chats that asked for it
+            if (jsonExport) {
                 try {
-                    await bot.sendMessage(targetChatId,
-                        `📄 PGN Data:\n\n${pgn}\n\n📊 JSON Data:\n\n${json.substring(0, 4000)}${json.length > 4000 ? '...[truncated]' : ''}`
+                    await bot.sendDocument(targetChatId, Buffer.from(json),
+                        { caption: '📊 Detailed JSON data (for custom analysis)' },
+                        { filename: getExportFileName(gameState, 'json'), contentType: 'application/json' }
                     );
-                } catch (e) {
-                    console.error(`Failed to send export data to ${targetChatId}:`, e);
+                } catch (error) {
+                    console.error(`Error sending JSON to ${targetChatId}:`, error);
                 }
             }
         };
@@ -694,7 +1043,7 @@ async function displayGameAnalytics(chatId, gameState) {
 
         // Also send to channel if it's a channel game
         if (gameState.channelId && gameState.channelId !== String(chatId)) {
-            await bot.sendMessage(gameState.channelId, report);
+            await sendReport(gameState.channelId);
             await sendExportData(gameState.channelId);
         }
 
@@ -703,7 +1052,7 @@ async function displayGameAnalytics(chatId, gameState) {
             for (const userId of gameState.joinedUsers) {
                 if (userId !== chatId && userId !== gameState.channelId) {
                     try {
-                        await bot.sendMessage(userId, report);
+                        await sendReport(userId);
                         await sendExportData(userId);
                     } catch (error) {
                         console.error(`Error sending analytics to user ${userId}:`, error);
@@ -719,34 +1068,67 @@ async function displayGameAnalytics(chatId, gameState) {
 }
 
 // Helper function to generate SVG chess board
-function generateChessBoardSVG(game) {
+// clocks: optional { white, black, running } remaining seconds and the side whose clock runs
+// highlights: optional { lastMove: { from, to }, check, selected, destinations: [], arrows: [{ from, to, color }] }
+// view: how the viewer wants to see the board (see getBoardView)
+function generateChessBoardSVG(game, clocks = null, highlights = null, view = {}) {
     const board = game.board();
     const squareSize = 60;
     const boardSize = squareSize * 8;
     const padding = 40;
-
-    // Check if we should rotate the board (when it's Black's turn)
-    const isBlackTurn = game.turn() === 'b';
+    const marks = highlights || {};
+    const theme = BOARD_THEMES[view.theme] || BOARD_THEMES.brown;
+    const pieceSet = view.pieceSet || 'cburnett';
+    const coordinates = view.coordinates || 'all';
+
+    // Rotate the board when the viewer sits on Black's side
+    const isFlipped = view.orientation === 'black';
+
+    // Top left corner of a square (e.g. "e4") on the possibly rotated board
+    const squareOrigin = (square) => {
+        const file = square.charCodeAt(0) - 97;
+        const row = 8 - Number(square[1]);
+        return {
+            x: (isFlipped ? 7 - file : file) * squareSize + padding + 40,
+            y: (isFlipped ? 7 - row : row) * squareSize + padding + 40
+        };
+    };
+    const squareCenter = (square) => {
+        const { x, y } = squareOrigin(square);
+        return { x: x + squareSize / 2, y: y + squareSize / 2 };
+    };
 
     let svg = `<svg width="${boardSize + (padding * 2) + 80}" height="${boardSize + (padding * 2) + 80}" xmlns="http://www.w3.org/2000/svg">`;
 
     // Background
-    svg += `<rect width="${boardSize + (padding * 2) + 80}" height="${boardSize + (padding * 2) + 80}" fill="#f0d9b5"/>`;
+    svg += `<rect width="${boardSize + (padding * 2) + 80}" height="${boardSize + (padding * 2) + 80}" fill="${theme.background}"/>`;
 
     // Draw squares
     for (let rank = 0; rank < 8; rank++) {
         for (let file = 0; file < 8; file++) {
             // Calculate display position (rotated if Black's turn)
-            const displayRank = isBlackTurn ? (7 - rank) : rank;
-            const displayFile = isBlackTurn ? (7 - file) : file;
+            const displayRank = isFlipped ? (7 - rank) : rank;
+            const displayFile = isFlipped ? (7 - file) : file;
 
             const isLight = (displayRank + displayFile) % 2 === 0;
-            const color = isLight ? '#f0d9b5' : '#b58863';
+            const color = isLight ? theme.light : theme.dark;
             const x = file * squareSize + padding + 40;
             const y = rank * squareSize + padding + 40;
 
             svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="${color}"/>`;
 
+            // Tint the last move, the selected piece and a king in check below the piece
+            const squareName = `${String.fromCharCode(97 + displayFile)}${8 - displayRank}`;
+            if (marks.lastMove && (marks.lastMove.from === squareName || marks.lastMove.to === squareName)) {
+                svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="#cdd26a" fill-opacity="0.75"/>`;
+            }
+            if (marks.selected === squareName) {
+                svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="#6495ed" fill-opacity="0.6"/>`;
+            }
+            if (marks.check === squareName) {
+                svg += `<rect x="${x}" y="${y}" width="${squareSize}" height="${squareSize}" fill="#e53935" fill-opacity="0.8"/>`;
+            }
+
             // Add piece from the actual board position
             const square = board[displayRank][displayFile];
             if (square) {
@@ -754,7 +1136,7 @@ function generateChessBoardSVG(game) {
                 const pieceKey = square.color === 'w' ? square.type.toUpperCase() : square.type;
 
                 // Try to load SVG content
-                const svgContent = loadPieceSvg(pieceKey);
+                const svgContent = loadPieceSvg(pieceKey, pieceSet);
 
                 if (svgContent) {
                     // Embed SVG content with proper scaling and positioning
@@ -773,41 +1155,216 @@ function generateChessBoardSVG(game) {
                 }
             }
 
-            // Add coordinates on all 4 sides (adjusted for rotation)
+            // Add coordinates in the chosen style (adjusted for rotation)
+            const rankLabel = isFlipped ? (rank + 1) : (8 - rank);
+            const fileLabel = isFlipped ? String.fromCharCode(104 - file) : String.fromCharCode(97 + file);
+            const outside = coordinates === 'all' || coordinates === 'two';
             // Left side (ranks)
-            if (file === 0) {
-                const rankLabel = isBlackTurn ? (rank + 1) : (8 - rank);
-                svg += `<text x="${padding + 10}" y="${y + squareSize / 2}" font-size="18" fill="#333" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${rankLabel}</text>`;
+            if (file === 0 && outside) {
+                svg += `<text x="${padding + 10}" y="${y + squareSize / 2}" font-size="18" fill="${theme.text}" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${rankLabel}</text>`;
             }
             // Right side (ranks)
-            if (file === 7) {
-                const rankLabel = isBlackTurn ? (rank + 1) : (8 - rank);
-                svg += `<text x="${padding + boardSize + 80}" y="${y + squareSize / 2}" font-size="18" fill="#333" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${rankLabel}</text>`;
+            if (file === 7 && coordinates === 'all') {
+                svg += `<text x="${padding + boardSize + 80}" y="${y + squareSize / 2}" font-size="18" fill="${theme.text}" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${rankLabel}</text>`;
             }
             // Top side (files)
-            if (rank === 0) {
-                const fileLabel = isBlackTurn ? String.fromCharCode(104 - file) : String.fromCharCode(97 + file);
-                svg += `<text x="${x + squareSize / 2}" y="${padding + 10}" font-size="18" fill="#333" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${fileLabel}</text>`;
+            if (rank === 0 && coordinates === 'all') {
+                svg += `<text x="${x + squareSize / 2}" y="${padding + 10}" font-size="18" fill="${theme.text}" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${fileLabel}</text>`;
             }
             // Bottom side (files)
-            if (rank === 7) {
-                const fileLabel = isBlackTurn ? String.fromCharCode(104 - file) : String.fromCharCode(97 + file);
-                svg += `<text x="${x + squareSize / 2}" y="${padding + boardSize + 70}" font-size="18" fill="#333" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${fileLabel}</text>`;
+            if (rank === 7 && outside) {
+                svg += `<text x="${x + squareSize / 2}" y="${padding + boardSize + 70}" font-size="18" fill="${theme.text}" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${fileLabel}</text>`;
+            }
+            // Inside the edge squares, in the color of the other square shade
+            if (coordinates === 'inside') {
+                const labelColor = isLight ? theme.dark : theme.light;
+                if (file === 0) {
+                    svg += `<text x="${x + 3}" y="${y + 3}" font-size="13" fill="${labelColor}" dominant-baseline="hanging" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${rankLabel}</text>`;
+                }
+                if (rank === 7) {
+                    svg += `<text x="${x + squareSize - 3}" y="${y + squareSize - 4}" font-size="13" fill="${labelColor}" text-anchor="end" font-weight="bold" font-family="DejaVu Sans, Liberation Sans, Arial, sans-serif">${fileLabel}</text>`;
+                }
             }
         }
     }
 
+    // Dots on the legal destinations of the selected piece, rings around pieces it can capture
+    (marks.destinations || []).forEach(square => {
+        const { x, y } = squareCenter(square);
+        if (game.get(square)) {
+            svg += `<circle cx="${x}" cy="${y}" r="${squareSize / 2 - 3}" fill="none" stroke="#1e1e1e" stroke-opacity="0.4" stroke-width="5"/>`;
+        } else {
+            svg += `<circle cx="${x}" cy="${y}" r="${squareSize / 7}" fill="#1e1e1e" fill-opacity="0.4"/>`;
+        }
+    });
+
+    // Arrows (e.g. a hint) drawn on top of the pieces
+    (marks.arrows || []).forEach(arrow => {
+        const from = squareCenter(arrow.from);
+        const to = squareCenter(arrow.to);
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const headLength = 22;
+        // Stop the shaft at the arrow head so the tip stays sharp
+        const shaftEndX = to.x - Math.cos(angle) * headLength;
+        const shaftEndY = to.y - Math.sin(angle) * headLength;
+        const left = { x: to.x - headLength * Math.cos(angle - 0.5), y: to.y - headLength * Math.sin(angle - 0.5) };
+        const right = { x: to.x - headLength * Math.cos(angle + 0.5), y: to.y - headLength * Math.sin(angle + 0.5) };
+        const color = arrow.color || '#15781b';
+
+        svg += `<line x1="${from.x}" y1="${from.y}" x2="${shaftEndX}" y2="${shaftEndY}" stroke="${color}" stroke-opacity="0.8" stroke-width="10" stroke-linecap="round"/>`;
+        svg += `<polygon points="${to.x},${to.y} ${left.x},${left.y} ${right.x},${right.y}" fill="${color}" fill-opacity="0.8"/>`;
+    });
+
+    // Draw the clocks in the right corners, next to the side they belong to
+    if (clocks) {
+        const topSide = isFlipped ? 'white' : 'black';
+        const bottomSide = isFlipped ? 'black' : 'white';
+        [[topSide, 4], [bottomSide, boardSize + (padding * 2) + 44]].forEach(([side, y]) => {
+            const running = clocks.running === side;
+            const low = clocks[side] < 30;
+            const fill = running ? (low ? '#c0392b' : '#2e7d32') : '#555';
+            svg += `<rect x="540" y="${y}" width="96" height="32" rx="6" fill="${fill}"/>`;
+            svg += `<text x="588" y="${y + 16}" font-size="20" fill="white" text-anchor="middle" dominant-baseline="central" font-weight="bold" font-family="DejaVu Sans Mono, Liberation Mono, monospace">${formatClock(clocks[side])}</text>`;
+        });
+    }
+
     svg += `</svg>`;
     return svg;
 }
 
-// Helper function to create and send chess board with buttons
-async function showGameStatus(chatId, gameState, username = '', withButtons = true) {
-    const { game } = gameState;
-    const isGameOver = game.isGameOver();
-    const currentPlayer = game.turn() === 'w' ? 'White' : 'Black';
+// Colors for the evaluation graph, one per player in order of first move
+const GRAPH_PLAYER_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22'];
 
-    let statusMessage = '';
+// Helper function to escape text for use inside SVG markup
+function escapeSvgText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Helper function to generate an SVG graph of the evaluation (White's point of view) by move
+// Each segment is colored by the player whose move it was; blunders and captures are marked
+function generateEvaluationGraphSVG(analytics) {
+    const width = 900;
+    const minHeight = 450; // Grows when the legend needs more rows (many players)
+    const left = 60;
+    const right = 20;
+    const top = 40;
+    const plotHeight = 320;
+    const plotWidth = width - left - right;
+    const legendTop = top + plotHeight + 50;
+    const fontFamily = 'DejaVu Sans, Liberation Sans, Arial, sans-serif';
+    const maxPawns = ANALYSIS_SCORE_CAP / 100;
+
+    const evaluations = analytics.evaluations;
+    const plies = Math.max(1, evaluations.length - 1);
+    const xFor = ply => left + (ply / plies) * plotWidth;
+    const yFor = cp => top + plotHeight / 2 - (cp / ANALYSIS_SCORE_CAP) * (plotHeight / 2);
+
+    // Assign each player a color in order of their first move
+    const playerColors = new Map();
+    analytics.moveEvaluations.forEach(m => {
+        if (!playerColors.has(m.playerId)) {
+            playerColors.set(m.playerId, {
+                color: GRAPH_PLAYER_COLORS[playerColors.size % GRAPH_PLAYER_COLORS.length],
+                name: m.player,
+                side: m.side
+            });
+        }
+    });
+
+    let svg = `<text x="${width / 2}" y="24" font-size="20" fill="#333" text-anchor="middle" font-weight="bold" font-family="${fontFamily}">Evaluation by move</text>`;
+
+    // White advantage above the middle line, Black advantage below
+    svg += `<rect x="${left}" y="${top}" width="${plotWidth}" height="${plotHeight / 2}" fill="#f4f4f4"/>`;
+    svg += `<rect x="${left}" y="${top + plotHeight / 2}" width="${plotWidth}" height="${plotHeight / 2}" fill="#d9d9d9"/>`;
+
+    // Horizontal grid lines with pawn labels
+    [-maxPawns, -maxPawns / 2, 0, maxPawns / 2, maxPawns].forEach(pawns => {
+        const y = yFor(pawns * 100);
+        svg += `<line x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}" stroke="${pawns === 0 ? '#666' : '#bbb'}" stroke-width="1"/>`;
+        svg += `<text x="${left - 8}" y="${y}" font-size="13" fill="#333" text-anchor="end" dominant-baseline="central" font-family="${fontFamily}">${pawns > 0 ? '+' : ''}${pawns}</text>`;
+    });
+
+    // Move numbers along the bottom, thinned out for long games
+    const moveCount = Math.ceil(plies / 2);
+    const labelStep = Math.max(1, Math.ceil(moveCount / 15));
+    for (let moveNumber = 1; moveNumber <= moveCount; moveNumber += labelStep) {
+        const x = xFor(moveNumber * 2 - 1);
+        svg += `<text x="${x}" y="${top + plotHeight + 18}" font-size="13" fill="#333" text-anchor="middle" font-family="${fontFamily}">${moveNumber}</text>`;
+    }
+    svg += `<text x="${left + plotWidth / 2}" y="${top + plotHeight + 38}" font-size="13" fill="#666" text-anchor="middle" font-family="${fontFamily}">move</text>`;
+
+    // One segment per move, colored by the player who made it
+    analytics.moveEvaluations.forEach(m => {
+        const { color } = playerColors.get(m.playerId);
+        svg += `<line x1="${xFor(m.moveNumber - 1)}" y1="${yFor(m.evaluationBefore)}" x2="${xFor(m.moveNumber)}" y2="${yFor(m.evaluationAfter)}" stroke="${color}" stroke-width="3" stroke-linecap="round"/>`;
+    });
+
+    // Markers: a diamond for captures, a red ring for blunders
+    analytics.moveEvaluations.forEach(m => {
+        const x = xFor(m.moveNumber);
+        const y = yFor(m.evaluationAfter);
+        if (m.captured) {
+            svg += `<polygon points="${x},${y - 6} ${x + 6},${y} ${x},${y + 6} ${x - 6},${y}" fill="#333"/>`;
+        }
+        if (m.classification === 'blunder') {
+            svg += `<circle cx="${x}" cy="${y}" r="9" fill="none" stroke="#d62728" stroke-width="3"/>`;
+        }
+    });
+
+    // Legend: players first, then the marker meanings
+    let legendX = left;
+    let legendY = legendTop;
+    const addLegendEntry = (marker, label) => {
+        const entryWidth = 40 + label.length * 8;
+        if (legendX + entryWidth > width - right) {
+            legendX = left;
+            legendY += 24;
+        }
+        svg += marker(legendX, legendY);
+        svg += `<text x="${legendX + 26}" y="${legendY}" font-size="14" fill="#333" dominant-baseline="central" font-family="${fontFamily}">${escapeSvgText(label)}</text>`;
+        legendX += entryWidth;
+    };
+
+    playerColors.forEach(({ color, name, side }) => {
+        addLegendEntry(
+            (x, y) => `<line x1="${x}" y1="${y}" x2="${x + 20}" y2="${y}" stroke="${color}" stroke-width="4"/>`,
+            `${name} (${side})`
+        );
+    });
+    addLegendEntry(
+        (x, y) => `<polygon points="${x + 10},${y - 6} ${x + 16},${y} ${x + 10},${y + 6} ${x + 4},${y}" fill="#333"/>`,
+        'capture'
+    );
+    addLegendEntry(
+        (x, y) => `<circle cx="${x + 10}" cy="${y}" r="7" fill="none" stroke="#d62728" stroke-width="3"/>`,
+        'blunder'
+    );
+
+    // The size is known once the legend is laid out
+    const height = Math.max(minHeight, legendY + 26);
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+        `<rect width="${width}" height="${height}" fill="white"/>` +
+        svg +
+        `</svg>`;
+}
+
+// Helper function to render the evaluation graph to a PNG buffer
+async function generateEvaluationGraph(analytics) {
+    const svg = generateEvaluationGraphSVG(analytics);
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Helper function to build the board caption: turn, timers, clocks, votes, captures and recent moves
+function buildStatusCaption(gameState) {
+    const { game } = gameState;
+    const isGameOver = game.isGameOver();
+    const currentPlayer = game.turn() === 'w' ? 'White' : 'Black';
+
+    let statusMessage = '';
 
     if (isGameOver) {
         if (game.isCheckmate()) {
@@ -846,6 +1403,40 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
                 statusMessage += `\n\n✅ Timer expired! Ready for round ${roundNumber}`;
             }
         }
+
+        // Add chess clocks
+        if (isClockEnabled(gameState)) {
+            const running = gameState.clockStartedAt ? currentPlayer.toLowerCase() : null;
+            const whiteClock = formatClock(getClockRemaining(gameState, 'white')) + (running === 'white' ? ' ⏳' : '');
+            const blackClock = formatClock(getClockRemaining(gameState, 'black')) + (running === 'black' ? ' ⏳' : '');
+            statusMessage += `\n\n⏱️ Clock (${formatTimeControl(gameState.timeControl)}): ⚪ ${whiteClock} | ⚫ ${blackClock}`;
+            if (!gameState.clockStartedAt) {
+                statusMessage += `\nClocks start after White's first move`;
+            }
+        }
+
+        // Add the engine playing one side
+        if (gameState.engine) {
+            statusMessage += `\n🤖 ${gameState.engine.side === 'white' ? 'White' : 'Black'}: ${getEngineName(gameState.engine)}`;
+        }
+
+        // Add correspondence deadline
+        if (gameState.correspondence) {
+            statusMessage += `\n\n${formatCorrespondenceStatus(gameState)}`;
+        }
+
+        // Add pending draw offer
+        if (gameState.drawOffer) {
+            const offeringTeam = gameState.drawOffer.by === 'white' ? 'White' : 'Black';
+            const answeringSide = gameState.drawOffer.by === 'white' ? 'black' : 'white';
+            const answeringTeam = answeringSide === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+            statusMessage += `\n\n🤝 ${offeringTeam} team offers a draw (accept votes: ${gameState.drawVotes[answeringSide].length}/${Math.ceil(answeringTeam.length / 2)})`;
+        }
+
+        // Add live move vote tally
+        if (gameState.decisionMode === 'vote') {
+            statusMessage += `\n\n${formatVoteTally(gameState)}`;
+        }
     }
 
     // Add captured pieces display
@@ -879,6 +1470,12 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
         }
     }
 
+    // Until the first move, games from an imported PGN show how the position came about
+    const preGameMoves = gameState.settings && gameState.settings.preGameMoves;
+    if (preGameMoves && gameState.moveHistory.length === 0) {
+        statusMessage += `\n\n📥 Pre-game moves (imported):\n${formatPreGameMoves(preGameMoves, 200)}`;
+    }
+
     // Add move history if available
     if (gameState.moveHistory && gameState.moveHistory.length > 0) {
         const totalMoves = gameState.moveHistory.length;
@@ -888,7 +1485,7 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
         statusMessage += `\n\n📜 Recent moves (${totalMoves} total):`;
         recentMoves.forEach((move, index) => {
             const actualNum = startNum + index;
-            let moveText = `${actualNum}. ${move.player}: ${move.move}`;
+            let moveText = `${actualNum}. ${getMovePlayerName(move)}: ${move.move}`;
             if (move.captured) {
                 moveText += ` captures ${move.captured}`;
             }
@@ -899,52 +1496,419 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
         }
     }
 
-    // Generate board image
-    const svg = generateChessBoardSVG(game);
-    const imagePath = path.join(tempDir, `board_${chatId}.png`);
+    return statusMessage;
+}
 
-    // Convert SVG to PNG
-    await sharp(Buffer.from(svg))
-        .resize(720, 720)
-        .png()
-        .toFile(imagePath);
+// Piece types in the order the move picker lists them
+const PICKER_PIECE_ORDER = ['k', 'q', 'r', 'b', 'n', 'p'];
+
+// Promotion choices offered by the move picker
+const PROMOTION_PIECES = [
+    { type: 'q', name: 'Queen' },
+    { type: 'r', name: 'Rook' },
+    { type: 'b', name: 'Bishop' },
+    { type: 'n', name: 'Knight' }
+];
+
+// Helper function to label a piece on a square SAN-style, e.g. "♘ Nb1" or "♙ e2"
+function formatPieceLabel(piece, square) {
+    const symbol = pieceSymbols[piece.color === 'w' ? piece.type.toUpperCase() : piece.type];
+    return `${symbol} ${piece.type === 'p' ? '' : piece.type.toUpperCase()}${square}`;
+}
 
-    // Create inline keyboard for legal moves
+// Helper function to build the two-step move picker buttons
+// selection: null to choose a piece, { from } to choose its destination, { from, to } to choose a promotion piece
+function buildMovePickerKeyboard(game, selection = null) {
     const moves = game.moves({ verbose: true });
     const keyboard = [];
+    const toRows = (buttons, perRow) => {
+        for (let i = 0; i < buttons.length; i += perRow) {
+            keyboard.push(buttons.slice(i, i + perRow));
+        }
+    };
+
+    if (selection && selection.to) {
+        // Step 3: promotion piece
+        const color = game.turn();
+        toRows(PROMOTION_PIECES.map(({ type, name }) => ({
+            text: `${pieceSymbols[color === 'w' ? type.toUpperCase() : type]} ${name}`,
+            callback_data: `move_${selection.from}${selection.to}=${type}`
+        })), 2);
+        keyboard.push([{ text: '🔙 Back', callback_data: `pick_${selection.from}` }]);
+        return keyboard;
+    }
 
-    if (moves.length > 0) {
-        // Group moves into rows of 3 buttons
-        for (let i = 0; i < moves.length; i += 3) {
-            const row = [];
-            for (let j = i; j < Math.min(i + 3, moves.length); j++) {
-                const move = moves[j];
-                const buttonText = `${move.from}→${move.to}`;
-                const callbackData = `move_${move.from}${move.to}${move.promotion ? `=${move.promotion}` : ''}`;
-                row.push({ text: buttonText, callback_data: callbackData });
+    if (selection) {
+        // Step 2: destination, promotions get their own step
+        const destinations = [];
+        moves.filter(move => move.from === selection.from).forEach(move => {
+            if (move.promotion) {
+                if (!destinations.some(button => button.callback_data === `promo_${move.from}${move.to}`)) {
+                    destinations.push({ text: move.san.replace(/=.*/, '=?'), callback_data: `promo_${move.from}${move.to}` });
+                }
+            } else {
+                destinations.push({ text: move.san, callback_data: `move_${move.from}${move.to}` });
             }
-            keyboard.push(row);
-        }
+        });
+        toRows(destinations, 4);
+        keyboard.push([{ text: '🔙 Back', callback_data: 'pick_back' }]);
+        return keyboard;
+    }
+
+    // Step 1: pieces that can move, one group of rows per piece type
+    const squares = [...new Set(moves.map(move => move.from))].sort();
+    PICKER_PIECE_ORDER.forEach(type => {
+        const buttons = squares
+            .filter(square => game.get(square).type === type)
+            .map(square => ({ text: formatPieceLabel(game.get(square), square), callback_data: `pick_${square}` }));
+        toRows(buttons, 4);
+    });
+    return keyboard;
+}
+
+// Helper function to describe the move being picked, shown under the board caption
+function formatMovePreview(game, selection) {
+    if (!selection) {
+        return '';
+    }
+
+    const piece = game.get(selection.from);
+    if (selection.to) {
+        return `👉 ${formatPieceLabel(piece, selection.from)} → ${selection.to}: choose the promotion piece`;
     }
+    return `👉 ${formatPieceLabel(piece, selection.from)} → ?: choose a destination square`;
+}
+
+// Helper function to get a short fingerprint of a game's current position, e.g. "12.x3f9" (ply and hash)
+// Move picker buttons carry it so buttons of an older board can be told apart from current ones
+function getPositionFingerprint(gameState) {
+    const source = `${gameState.startedAt || ''}|${gameState.game.fen()}`;
+    let hash = 0;
+    for (let i = 0; i < source.length; i++) {
+        hash = (hash * 31 + source.charCodeAt(i)) >>> 0;
+    }
+    return `${gameState.moveHistory.length}.${hash.toString(36).slice(-4)}`;
+}
+
+// Helper function to build the buttons under a board: the move picker and the game controls
+// selection is passed on to the move picker (see buildMovePickerKeyboard)
+// Move picker buttons get the position fingerprint appended, e.g. "move_e2e4:12.x3f9"
+function buildGameKeyboard(gameState, selection = null) {
+    const fingerprint = getPositionFingerprint(gameState);
+    const keyboard = buildMovePickerKeyboard(gameState.game, selection).map(row => row.map(button => ({
+        ...button,
+        callback_data: `${button.callback_data}:${fingerprint}`
+    })));
 
     // Add control buttons
-    keyboard.push([
+    const controls = [
         { text: '🏠 Home', callback_data: 'home' },
         { text: '🔄 Refresh', callback_data: 'refresh' }
-    ]);
+    ];
+
+    // Games against the bot offer a hint to the human side
+    if (gameState.engine && !isEngineTurn(gameState) && !gameState.game.isGameOver()) {
+        controls.push({ text: '💡 Hint', callback_data: 'hint' });
+    }
+    keyboard.push(controls);
 
     // Add history button if there are moves
-    if (gameState.moveHistory && gameState.moveHistory.length > 0) {
+    if ((gameState.moveHistory && gameState.moveHistory.length > 0) || (gameState.settings && gameState.settings.preGameMoves)) {
         keyboard.push([
             { text: '📜 Full History', callback_data: 'show_history' }
         ]);
     }
 
-    // Add resign button
+    // Add resign and draw offer buttons
     keyboard.push([
-        { text: '❌ Resign', callback_data: 'resign' }
+        { text: '❌ Resign', callback_data: 'resign' },
+        { text: '🤝 Offer Draw', callback_data: 'draw_offer' }
     ]);
 
+    return keyboard;
+}
+
+// Helper function to show a step of the move picker by editing the board message in place
+// The caption starts with a preview of the move being picked, the board marks its destinations
+async function showMovePicker(chatId, messageId, gameState, selection) {
+    const preview = formatMovePreview(gameState.game, selection);
+    const caption = (preview ? `${preview}\n\n` : '') + buildStatusCaption(gameState);
+    const view = getBoardView(gameState, chatId);
+
+    if (view.mode === 'text') {
+        try {
+            await bot.editMessageText(buildTextBoardMessage(gameState, caption, getBoardHighlights(gameState, selection), view), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: buildGameKeyboard(gameState, selection) }
+            });
+        } catch (error) {
+            console.error('Error updating move picker, sending a new board:', error.message);
+            await showGameStatus(chatId, gameState);
+        }
+        return;
+    }
+
+    try {
+        const image = await renderBoardImage(gameState, getBoardHighlights(gameState, selection), view);
+        await editBoardImage(image, caption, {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: { inline_keyboard: buildGameKeyboard(gameState, selection) }
+        });
+    } catch (error) {
+        console.error('Error updating move picker, sending a new board:', error.message);
+        await showGameStatus(chatId, gameState);
+    }
+}
+
+// Engine level used for hints in games against the bot
+const HINT_ENGINE_LEVEL = 3;
+
+// Helper function to get the squares and arrows to highlight on a board
+// selection is the move picker state (see buildMovePickerKeyboard), arrows e.g. a hint
+function getBoardHighlights(gameState, selection = null, arrows = []) {
+    const { game } = gameState;
+    const lastEntry = gameState.moveHistory[gameState.moveHistory.length - 1];
+    const highlights = {
+        lastMove: lastEntry ? { from: lastEntry.from, to: lastEntry.to } : null,
+        check: null,
+        selected: selection ? selection.from : null,
+        destinations: [],
+        arrows
+    };
+
+    if (game.isCheck()) {
+        const king = game.findPiece({ type: 'k', color: game.turn() });
+        highlights.check = king[0] || null;
+    }
+
+    if (selection && selection.to) {
+        highlights.destinations = [selection.to];
+    } else if (selection) {
+        highlights.destinations = [...new Set(game.moves({ square: selection.from, verbose: true }).map(move => move.to))];
+    }
+
+    return highlights;
+}
+
+// Helper function to get the side shown at the bottom of the board for a chat
+// "auto" puts a player's own team at the bottom, other viewers (e.g. the channel post) see White's side
+function getBoardOrientation(gameState, chatId) {
+    const { orientation } = getSettingsForChat(chatId);
+
+    if (orientation === 'white' || orientation === 'black') {
+        return orientation;
+    }
+    if (orientation === 'turn') {
+        return gameState.game.turn() === 'w' ? 'white' : 'black';
+    }
+    if (isTeamMember(gameState.blackTeam, chatId) && !isTeamMember(gameState.whiteTeam, chatId)) {
+        return 'black';
+    }
+    return 'white';
+}
+
+// Helper function to get how a chat wants to see the board
+function getBoardView(gameState, chatId) {
+    const settings = getSettingsForChat(chatId);
+    return {
+        orientation: getBoardOrientation(gameState, chatId),
+        theme: settings.theme,
+        pieceSet: settings.pieceSet,
+        size: settings.boardSize,
+        coordinates: settings.coordinates,
+        mode: settings.boardMode
+    };
+}
+
+// Helper function to escape text for messages sent with parse_mode HTML
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper function to join words for reading aloud, e.g. "a1, b1 and c1"
+function joinWords(words) {
+    return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+}
+
+// Helper function to draw the board as monospace text, uppercase White and lowercase Black
+// Empty squares are dots, destinations of the move being picked are stars
+function generateTextBoard(game, highlights = null, view = {}) {
+    const marks = highlights || {};
+    const isFlipped = view.orientation === 'black';
+    const files = isFlipped ? 'hgfedcba' : 'abcdefgh';
+    const ranks = isFlipped ? '12345678' : '87654321';
+    const fileLine = `  ${files.split('').join(' ')}`;
+
+    const rows = ranks.split('').map(rank => {
+        const cells = files.split('').map(file => {
+            const square = `${file}${rank}`;
+            const piece = game.get(square);
+            if (piece) {
+                return piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+            }
+            return (marks.destinations || []).includes(square) ? '*' : '.';
+        });
+        return `${rank} ${cells.join(' ')} ${rank}`;
+    });
+
+    return [fileLine, ...rows, fileLine].join('\n');
+}
+
+// Helper function to list the pieces of one side for reading aloud, e.g. "White: King g1, Rooks a1 and f1"
+function describePieces(game, color) {
+    const groups = PICKER_PIECE_ORDER.map(type => {
+        const squares = game.findPiece({ type, color }).sort();
+        if (squares.length === 0) {
+            return null;
+        }
+        return `${PIECE_NAMES[type]}${squares.length > 1 ? 's' : ''} ${joinWords(squares)}`;
+    }).filter(Boolean);
+
+    return `${color === 'w' ? 'White' : 'Black'}: ${groups.length > 0 ? groups.join(', ') : 'no pieces'}`;
+}
+
+// Helper function to describe the last move in words, e.g. "White Knight from g1 to f3, capturing a Pawn, check"
+function describeLastMove(gameState) {
+    const entry = gameState.moveHistory[gameState.moveHistory.length - 1];
+    const piece = entry && gameState.game.get(entry.to);
+    if (!piece) {
+        return null;
+    }
+
+    const side = piece.color === 'w' ? 'White' : 'Black';
+    let description;
+    if (entry.flags.includes('k') || entry.flags.includes('q')) {
+        description = `${side} castled ${entry.flags.includes('k') ? 'kingside' : 'queenside'}`;
+    } else {
+        description = `${side} ${PIECE_NAMES[entry.promotion ? 'p' : piece.type]} from ${entry.from} to ${entry.to}`;
+    }
+
+    if (entry.captured) {
+        const capturedType = Object.keys(pieceSymbols).find(key => pieceSymbols[key] === entry.captured);
+        description += `, capturing a ${PIECE_NAMES[capturedType.toLowerCase()]}${entry.flags.includes('e') ? ' en passant' : ''}`;
+    }
+    if (entry.promotion) {
+        description += `, promoting to a ${PIECE_NAMES[entry.promotion]}`;
+    }
+    if (entry.moveSan.endsWith('#')) {
+        description += ', checkmate';
+    } else if (entry.moveSan.endsWith('+')) {
+        description += ', check';
+    }
+
+    return description;
+}
+
+// Helper function to build a text board message (HTML): monospace board, piece lists, last move and caption
+function buildTextBoardMessage(gameState, caption, highlights = null, view = {}) {
+    const { game } = gameState;
+    const lastMove = describeLastMove(gameState);
+
+    return `<pre>${generateTextBoard(game, highlights, view)}</pre>\n` +
+        `${describePieces(game, 'w')}\n` +
+        `${describePieces(game, 'b')}\n` +
+        (lastMove ? `Last move: ${lastMove}\n` : '') +
+        `\n${escapeHtml(caption)}`;
+}
+
+// Number of rendered board images kept in memory
+const BOARD_IMAGE_CACHE_SIZE = 64;
+
+// File name and type for uploaded board images
+const BOARD_IMAGE_FILE_OPTIONS = { filename: 'board.png', contentType: 'image/png' };
+
+// Rendered board images, least recently used first
+// Key: everything drawn on the board, Value: { buffer, fileId } - fileId is set once Telegram has the image
+const boardImageCache = new Map();
+
+// Helper function to render the board of a game to a PNG, reusing a cached image of the same board
+async function renderBoardImage(gameState, highlights = null, view = {}) {
+    const { game } = gameState;
+    const clocks = isClockEnabled(gameState) && !game.isGameOver() ? {
+        white: getClockRemaining(gameState, 'white'),
+        black: getClockRemaining(gameState, 'black'),
+        running: gameState.clockStartedAt ? (game.turn() === 'w' ? 'white' : 'black') : null
+    } : null;
+
+    const key = JSON.stringify({
+        fen: game.fen(),
+        clocks: clocks && ['white', 'black'].map(side => [formatClock(clocks[side]), clocks[side] < 30, clocks.running === side]),
+        highlights,
+        view: [view.orientation, view.theme, view.pieceSet, view.size, view.coordinates]
+    });
+    if (boardImageCache.has(key)) {
+        const image = boardImageCache.get(key);
+        boardImageCache.delete(key);
+        boardImageCache.set(key, image);
+        return image;
+    }
+
+    // Convert SVG to PNG
+    const svg = generateChessBoardSVG(game, clocks, highlights, view);
+    const { pixels } = BOARD_SIZES[view.size] || BOARD_SIZES.medium;
+    const buffer = await sharp(Buffer.from(svg))
+        .resize(pixels, pixels)
+        .png()
+        .toBuffer();
+
+    const image = { buffer, fileId: null };
+    boardImageCache.set(key, image);
+    if (boardImageCache.size > BOARD_IMAGE_CACHE_SIZE) {
+        boardImageCache.delete(boardImageCache.keys().next().value);
+    }
+    return image;
+}
+
+// Helper function to remember the Telegram file_id of an uploaded board image, so it is only uploaded once
+function rememberBoardFileId(image, message) {
+    if (message && Array.isArray(message.photo) && message.photo.length > 0) {
+        image.fileId = message.photo[message.photo.length - 1].file_id;
+    }
+}
+
+// Helper function to send a board image as a new photo message
+async function sendBoardImage(chatId, image, options) {
+    const sentMessage = await bot.sendPhoto(chatId, image.fileId || image.buffer, options, BOARD_IMAGE_FILE_OPTIONS);
+    rememberBoardFileId(image, sentMessage);
+    return sentMessage;
+}
+
+// Helper function to replace the photo of a board message
+// form: { chat_id, message_id, reply_markup }
+async function editBoardImage(image, caption, form) {
+    let editedMessage;
+    if (image.fileId) {
+        editedMessage = await bot.editMessageMedia({ type: 'photo', media: image.fileId, caption }, form);
+    } else {
+        // editMessageMedia only uploads files given as attach://<path>, so the new image is written
+        // to a temporary file for the upload; later edits with this image reuse its file_id
+        const uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chess-board-'));
+        const filePath = path.join(uploadDir, BOARD_IMAGE_FILE_OPTIONS.filename);
+        try {
+            await fs.promises.writeFile(filePath, image.buffer);
+            editedMessage = await bot.editMessageMedia({ type: 'photo', media: `attach://${filePath}`, caption }, form);
+        } finally {
+            fs.promises.rm(uploadDir, { recursive: true, force: true }).catch(error => {
+                console.error('Error removing uploaded board image:', error.message);
+            });
+        }
+    }
+    rememberBoardFileId(image, editedMessage);
+}
+
+// Helper function to create and send chess board with buttons
+// extras: optional { arrows, note } - arrows to draw (e.g. a hint) and a line shown above the caption
+async function showGameStatus(chatId, gameState, username = '', withButtons = true, extras = {}) {
+    const statusMessage = (extras.note ? `${extras.note}\n\n` : '') + buildStatusCaption(gameState);
+    const highlights = getBoardHighlights(gameState, null, extras.arrows || []);
+    const view = getBoardView(gameState, chatId);
+
+    // Create inline keyboard for legal moves and game controls
+    const keyboard = buildGameKeyboard(gameState);
+
     const options = {
         caption: statusMessage
     };
@@ -972,15 +1936,21 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
         console.log('No buttons created (withButtons=false) for chatId:', chatId);
     }
 
-    // Check if we need to update existing message (for channels)
-    const imageStream = fs.createReadStream(imagePath);
+    if (view.mode === 'text') {
+        await sendTextBoard(chatId, gameState, buildTextBoardMessage(gameState, statusMessage, highlights, view), options.reply_markup);
+        return;
+    }
+
+    // Generate board image
+    const image = await renderBoardImage(gameState, highlights, view);
 
-    if (gameState.channelMessageId && chatId === gameState.channelId) {
-        // Update existing message in channel
+    // Update the chat's existing board message (channel post or private chat board)
+    const boardMessageId = getBoardMessageId(gameState, chatId);
+    if (boardMessageId) {
         try {
             const editOptions = {
                 chat_id: chatId,
-                message_id: gameState.channelMessageId
+                message_id: boardMessageId
             };
 
             // Add reply_markup if we have it
@@ -988,169 +1958,1532 @@ async function showGameStatus(chatId, gameState, username = '', withButtons = tr
                 editOptions.reply_markup = options.reply_markup;
             }
 
-            await bot.editMessageMedia(
-                {
-                    type: 'photo',
-                    media: imageStream,
-                    caption: statusMessage
-                },
-                editOptions
-            );
+            await editBoardImage(image, statusMessage, editOptions);
+            return;
         } catch (error) {
-            // If update fails, send new message
-            const sentMessage = await bot.sendPhoto(chatId, imageStream, options);
-            gameState.channelMessageId = sentMessage.message_id;
-        }
-    } else {
-        // Send new message
-        const sentMessage = await bot.sendPhoto(chatId, imageStream, options);
-
-        // If this is a channel message, store the message ID
-        if (chatId < 0) { // Channel IDs are negative
-            gameState.channelId = chatId;
-            gameState.channelMessageId = sentMessage.message_id;
+            // If update fails (e.g. a text board or a deleted message), send new message
+            console.error('Error updating board message, sending a new one:', error.message);
         }
     }
 
-    // Clean up old image after sending
-    setTimeout(() => {
-        if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-        }
-    }, 1000);
+    // Send new message
+    const sentMessage = await sendBoardImage(chatId, image, options);
+    await rememberBoardMessage(gameState, chatId, sentMessage);
 }
 
-// Helper function to handle joining a game
-async function handleGameJoin(channelId, chatId, username, team) {
-    let gameState = activeGames.get(channelId);
+// Board messages older than this are replaced by a new message instead of edited,
+// by then they have usually scrolled out of view (milliseconds)
+const BOARD_MESSAGE_MAX_AGE = 24 * 60 * 60 * 1000;
 
-    if (!gameState) {
-        bot.sendMessage(chatId, 'Game not found in memory. Please try again.');
-        return;
+// Helper function to get the board message a chat's next update should edit, or null to send a new one
+function getBoardMessageId(gameState, chatId) {
+    if (String(chatId) === String(gameState.channelId)) {
+        return gameState.channelMessageId || null;
     }
 
-    // Check if user is already in a team
-    const isInWhiteTeam = gameState.whiteTeam.includes(username);
-    const isInBlackTeam = gameState.blackTeam.includes(username);
-
-    if (isInWhiteTeam || isInBlackTeam) {
-        const currentTeam = isInWhiteTeam ? 'White' : 'Black';
-        bot.sendMessage(chatId, `✅ You're already joined on the ${currentTeam} team!\n\nRefreshing board...`);
-        await showGameStatus(chatId, gameState, username);
-        return;
+    const boardMessage = gameState.boardMessages && gameState.boardMessages[String(chatId)];
+    if (!boardMessage || Date.now() - boardMessage.sentAt > BOARD_MESSAGE_MAX_AGE) {
+        return null;
     }
+    return boardMessage.messageId;
+}
 
-    // Add user to the selected team
-    if (team === 'white') {
-        gameState.blackTeam = gameState.blackTeam.filter(p => p !== username);
-        if (!gameState.whiteTeam.includes(username)) {
-            gameState.whiteTeam.push(username);
-        }
-    } else if (team === 'black') {
-        gameState.whiteTeam = gameState.whiteTeam.filter(p => p !== username);
-        if (!gameState.blackTeam.includes(username)) {
-            gameState.blackTeam.push(username);
+// Helper function to store a newly sent board message and strip the buttons of the one it supersedes
+async function rememberBoardMessage(gameState, chatId, message) {
+    let previousId;
+    if (chatId < 0) { // Channel IDs are negative
+        previousId = gameState.channelMessageId;
+        gameState.channelId = String(chatId);
+        gameState.channelMessageId = message.message_id;
+    } else {
+        if (!gameState.boardMessages) {
+            gameState.boardMessages = {};
         }
+        previousId = gameState.boardMessages[String(chatId)]?.messageId;
+        gameState.boardMessages[String(chatId)] = { messageId: message.message_id, sentAt: Date.now() };
     }
+    await persistGame(gameState);
 
-    // Add to players list
-    if (!gameState.players) {
-        gameState.players = [];
-    }
-    if (!gameState.players.includes(username)) {
-        gameState.players.push(username);
+    if (previousId && previousId !== message.message_id) {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: previousId }).catch(error => {
+            console.error('Error removing buttons of an old board:', error.message);
+        });
     }
+}
 
-    // Store the connection
-    userToChannel.set(String(chatId), channelId);
-
-    // Add user to joinedUsers list
-    if (!gameState.joinedUsers) {
-        gameState.joinedUsers = [];
+// Helper function to send a text board, or update the chat's existing board message in place
+async function sendTextBoard(chatId, gameState, text, replyMarkup) {
+    const options = { parse_mode: 'HTML' };
+    if (replyMarkup) {
+        options.reply_markup = replyMarkup;
     }
-    if (!gameState.joinedUsers.includes(chatId)) {
-        gameState.joinedUsers.push(chatId);
+
+    const boardMessageId = getBoardMessageId(gameState, chatId);
+    if (boardMessageId) {
+        try {
+            await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: boardMessageId });
+            return;
+        } catch (error) {
+            // The message may be an image board or deleted, send a new one
+            console.error('Error updating board message, sending a new one:', error.message);
+        }
     }
 
-    // Update the database
-    await saveGame(db, {
-        channelId: gameState.channelId,
-        channelName: gameState.channelName,
-        gameState: { fen: gameState.game.fen() },
-        whiteTeam: gameState.whiteTeam,
-        blackTeam: gameState.blackTeam,
-        moveCount: gameState.game.history().length
-    });
+    const sentMessage = await bot.sendMessage(chatId, text, options);
+    await rememberBoardMessage(gameState, chatId, sentMessage);
+}
 
-    const teamIcon = team === 'white' ? '⚪' : '⚫';
-    bot.sendMessage(chatId, `${teamIcon} ${username} joined the ${team === 'white' ? 'White' : 'Black'} team!\nWhite: ${gameState.whiteTeam.join(', ')}\nBlack: ${gameState.blackTeam.join(', ') || 'None'}`);
-    await showGameStatus(chatId, gameState, username);
+// Helper function to get a user's display name from a Telegram user object
+function getDisplayName(user) {
+    return user?.username || user?.first_name || 'Unknown';
 }
 
-// Handle callback queries (button clicks)
-bot.on('callback_query', async (callbackQuery) => {
-    const msg = callbackQuery.message;
-    const chatId = msg.chat.id;
-    const data = callbackQuery.data;
-    const username = callbackQuery.from.username || callbackQuery.from.first_name;
+// Helper function to keep a user's current display name in the player registry
+function registerPlayer(user) {
+    if (!user || user.id == null) {
+        return; // Channel posts have no sender
+    }
 
-    console.log('Callback query received:', {
-        username,
-        chatId,
-        data,
-        messageChatId: msg.chat.id
+    const displayName = getDisplayName(user);
+    if (playerNames.get(user.id) === displayName) {
+        return;
+    }
+
+    playerNames.set(user.id, displayName);
+    savePlayer(db, {
+        userId: user.id,
+        username: user.username || null,
+        firstName: user.first_name || null,
+        displayName
+    }).catch(error => {
+        console.error('Error saving player:', error);
     });
+}
 
-    // Acknowledge the callback
-    bot.answerCallbackQuery(callbackQuery.id);
+// Helper function to get the preferences of a chat
+function getSettingsForChat(chatId) {
+    return { ...DEFAULT_CHAT_SETTINGS, ...chatSettings.get(String(chatId)) };
+}
 
-    // Handle start menu buttons
-    if (data === 'start_newgame') {
-        // Check if a game already exists
-        if (activeGames.has(chatId)) {
-            bot.sendMessage(chatId, 'There is already an active game. Click "Join Game" to join the current game.');
-            return;
-        }
+// Helper function to change and persist some preferences of a chat
+async function updateSettingsForChat(chatId, changes) {
+    const settings = { ...chatSettings.get(String(chatId)), ...changes };
+    chatSettings.set(String(chatId), settings);
+    try {
+        await saveChatSettings(db, chatId, settings);
+    } catch (error) {
+        console.error('Error saving chat settings:', error);
+    }
+    return getSettingsForChat(chatId);
+}
 
-        const newGame = new Chess();
+// Settings a channel's admins can change for the channel from their private chat
+// (channels cannot send commands, so /settings never reaches the bot from a channel)
+const CHANNEL_SETTINGS_OPTIONS = ['orientation', 'theme', 'pieces', 'size', 'coords', 'mode'];
 
-        // Determine if this is a channel
+// Helper function to check if a user may change a channel's settings (its creator or an admin)
+async function isChannelAdmin(channelId, userId) {
+    try {
+        const member = await bot.getChatMember(channelId, userId);
+        return member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+        console.error(`Error checking admin rights in ${channelId}:`, error.message);
+        return false;
+    }
+}
+
+// Helper function to build the /settings menu of a chat
+// targetChatId is the chat the settings are for: the chat itself, or the channel the user is connected to
+function renderSettingsMenu(chatId, targetChatId = chatId) {
+    const settings = getSettingsForChat(targetChatId);
+    const isChannelTarget = String(targetChatId) !== String(chatId);
+    const shows = option => !isChannelTarget || CHANNEL_SETTINGS_OPTIONS.includes(option);
+    const target = isChannelTarget ? `@${targetChatId}` : '';
+
+    const lines = [
+        shows('json') && `📄 The PGN file is always sent after a game.\n` +
+            `📊 JSON export: ${settings.jsonExport ? 'On' : 'Off'} (detailed move data for custom analysis)`,
+        shows('orientation') && `🔄 Board orientation: ${ORIENTATION_OPTIONS[settings.orientation]} at the bottom` +
+            (settings.orientation === 'auto' ? ` (White for viewers who are not playing)` : ''),
+        shows('theme') && `🎨 Board theme: ${BOARD_THEMES[settings.theme].name}`,
+        shows('pieces') && `♞ Pieces: ${PIECE_SETS[settings.pieceSet]}`,
+        shows('size') && `📐 Board size: ${BOARD_SIZES[settings.boardSize].name} (${BOARD_SIZES[settings.boardSize].pixels}px)`,
+        shows('coords') && `🔤 Coordinates: ${COORDINATE_STYLES[settings.coordinates]}`,
+        shows('mode') && `🖼 Board display: ${BOARD_MODES[settings.boardMode]}` +
+            (settings.boardMode === 'text' ? ` (monospace board, piece list and last move in words, readable by screen readers)` : '')
+    ].filter(Boolean);
+    const text = (isChannelTarget ? `⚙️ Settings for the channel's board\n\n` : `⚙️ Settings for this chat\n\n`) + lines.join('\n');
+
+    const optionRow = (options, current, prefix, getLabel) => Object.entries(options).map(([value, option]) => ({
+        text: `${current === value ? '✅ ' : ''}${getLabel(option)}`,
+        callback_data: `settings_${prefix}_${value}${target}`
+    }));
+    const keyboard = [
+        shows('json') && [{
+            text: settings.jsonExport ? '📊 Turn JSON export off' : '📊 Turn JSON export on',
+            callback_data: `settings_json_${settings.jsonExport ? 'off' : 'on'}${target}`
+        }],
+        shows('orientation') && optionRow(ORIENTATION_OPTIONS, settings.orientation, 'orientation', label => label),
+        shows('theme') && optionRow(BOARD_THEMES, settings.theme, 'theme', theme => theme.name),
+        shows('pieces') && optionRow(PIECE_SETS, settings.pieceSet, 'pieces', name => name),
+        shows('size') && optionRow(BOARD_SIZES, settings.boardSize, 'size', size => size.name),
+        shows('coords') && optionRow(COORDINATE_STYLES, settings.coordinates, 'coords', name => name),
+        shows('mode') && optionRow(BOARD_MODES, settings.boardMode, 'mode', name => name)
+    ].filter(Boolean);
+
+    // Players connected to a channel game can switch to the channel's settings (admins only)
+    if (isChannelTarget) {
+        keyboard.push([{ text: '⬅️ My settings', callback_data: 'settings_target' }]);
+    } else if (chatId > 0 && userToChannel.has(String(chatId))) {
+        keyboard.push([{ text: '📢 Channel settings', callback_data: `settings_target@${userToChannel.get(String(chatId))}` }]);
+    }
+    keyboard.push([{ text: '✅ Done', callback_data: 'settings_done' }]);
+
+    return { text, keyboard };
+}
+
+// Helper function to handle a button of the /settings menu
+// Buttons of a channel's settings end with @<channelId>, only the channel's admins can use them
+async function handleSettingsCallback(chatId, messageId, data, user) {
+    const [action, target] = data.split('@');
+    const targetChatId = target || chatId;
+    const isChannelTarget = String(targetChatId) !== String(chatId);
+
+    if (action === 'settings_done') {
+        bot.editMessageText('⚙️ Settings saved.', { chat_id: chatId, message_id: messageId }).catch(error => {
+            console.error('Error closing settings menu:', error.message);
+        });
+        return;
+    }
+
+    if (isChannelTarget && !(await isChannelAdmin(targetChatId, user.id))) {
+        bot.editMessageText('❌ Only the channel\'s admins can change its settings.', { chat_id: chatId, message_id: messageId }).catch(error => {
+            console.error('Error updating settings menu:', error.message);
+        });
+        return;
+    }
+
+    const [, option, value] = action.match(/^settings_([a-z]+)_(\w+)$/) || [];
+    const canChange = option && (!isChannelTarget || CHANNEL_SETTINGS_OPTIONS.includes(option));
+    const previousSettings = getSettingsForChat(targetChatId);
+
+    if (canChange && option === 'json' && (value === 'on' || value === 'off')) {
+        await updateSettingsForChat(targetChatId, { jsonExport: value === 'on' });
+    }
+
+    if (canChange && option === 'orientation' && ORIENTATION_OPTIONS[value]) {
+        await updateSettingsForChat(targetChatId, { orientation: value });
+    }
+
+    // Board appearance and display mode: settings_<option>_<value>
+    const appearanceOptions = {
+        theme: { key: 'theme', values: BOARD_THEMES },
+        pieces: { key: 'pieceSet', values: PIECE_SETS },
+        size: { key: 'boardSize', values: BOARD_SIZES },
+        coords: { key: 'coordinates', values: COORDINATE_STYLES },
+        mode: { key: 'boardMode', values: BOARD_MODES }
+    };
+    if (canChange && appearanceOptions[option] && Object.prototype.hasOwnProperty.call(appearanceOptions[option].values, value)) {
+        await updateSettingsForChat(targetChatId, { [appearanceOptions[option].key]: value });
+    }
+
+    // Show the channel's changes on its current board right away (an unchanged board cannot be edited)
+    const channelGame = activeGames.get(String(targetChatId));
+    const changed = JSON.stringify(getSettingsForChat(targetChatId)) !== JSON.stringify(previousSettings);
+    if (isChannelTarget && changed && channelGame) {
+        // An image post cannot be edited into a text post (or back), so the channel gets a new post instead
+        if (previousSettings.boardMode !== getSettingsForChat(targetChatId).boardMode && channelGame.channelMessageId) {
+            const previousId = channelGame.channelMessageId;
+            channelGame.channelMessageId = null;
+            bot.deleteMessage(targetChatId, previousId).catch(error => {
+                console.error('Error deleting the old channel board:', error.message);
+                bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: targetChatId, message_id: previousId }).catch(() => {});
+            });
+        }
+        await showGameStatus(targetChatId, channelGame, '', false);
+    }
+
+    const { text, keyboard } = renderSettingsMenu(chatId, targetChatId);
+    try {
+        await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+        console.error('Error updating settings menu:', error.message);
+    }
+}
+
+// Helper function to get the display name of a player by user ID
+// Legacy entries from before user IDs were used are stored names and returned as-is
+function getPlayerName(playerId, fallback) {
+    if (typeof playerId === 'string') {
+        return playerId;
+    }
+    return playerNames.get(playerId) || fallback || `Player ${playerId}`;
+}
+
+// Helper function to get the name of whoever made a recorded move
+function getMovePlayerName(entry) {
+    return entry.userId != null ? getPlayerName(entry.userId, entry.player) : entry.player;
+}
+
+// Helper function to format a team (list of user IDs) for display
+function formatTeam(team, emptyText = 'None') {
+    return team.length > 0 ? team.map(playerId => getPlayerName(playerId)).join(', ') : emptyText;
+}
+
+// Helper function to check team membership when the ID may be an object key (string)
+function isTeamMember(team, playerId) {
+    return team.some(member => String(member) === String(playerId));
+}
+
+// Helper function to move a player onto a team (and off the other one)
+function addPlayerToTeam(gameState, userId, team) {
+    // Votes cast for the old team do not follow a player who switches sides
+    const oldSide = team === 'white' ? 'black' : 'white';
+    [gameState.resignVotes, gameState.drawVotes].forEach(votes => {
+        if (votes && votes[oldSide]) {
+            votes[oldSide] = votes[oldSide].filter(p => p !== userId);
+        }
+    });
+    if (gameState.moveVotes && gameState.moveVotes.side === oldSide) {
+        gameState.moveVotes.votes = gameState.moveVotes.votes.filter(vote => vote.userId !== userId);
+    }
+
+    if (team === 'white') {
+        gameState.blackTeam = gameState.blackTeam.filter(p => p !== userId);
+        if (!gameState.whiteTeam.includes(userId)) {
+            gameState.whiteTeam.push(userId);
+        }
+    } else if (team === 'black') {
+        gameState.whiteTeam = gameState.whiteTeam.filter(p => p !== userId);
+        if (!gameState.blackTeam.includes(userId)) {
+            gameState.blackTeam.push(userId);
+        }
+    }
+
+    // Add to players list
+    if (!gameState.players) {
+        gameState.players = [];
+    }
+    if (!gameState.players.includes(userId)) {
+        gameState.players.push(userId);
+    }
+}
+
+// Helper function to replace a legacy name entry with a user ID in every player list of a game
+function replaceLegacyPlayer(gameState, legacyName, userId) {
+    const lists = [
+        ['whiteTeam'], ['blackTeam'], ['players'],
+        ['resignVotes', 'white'], ['resignVotes', 'black'],
+        ['drawVotes', 'white'], ['drawVotes', 'black']
+    ];
+    let changed = false;
+
+    lists.forEach(([key, side]) => {
+        const owner = side ? gameState[key] : gameState;
+        const field = side || key;
+        if (!owner || !owner[field] || !owner[field].includes(legacyName)) {
+            return;
+        }
+
+        const replaced = owner[field].map(member => member === legacyName ? userId : member);
+        owner[field] = [...new Set(replaced)];
+        changed = true;
+    });
+
+    return changed;
+}
+
+// Helper function to convert name-based team entries of a stored game to user IDs
+// Names are resolved through the player registry and the user IDs saved with each move;
+// names shared by several users are left for the owner to claim (see claimLegacyPlayer)
+function migrateLegacyTeams(gameState) {
+    const legacyNames = new Set(
+        [...gameState.whiteTeam, ...gameState.blackTeam, ...(gameState.players || [])]
+            .filter(member => typeof member === 'string')
+    );
+    if (legacyNames.size === 0) {
+        return false;
+    }
+
+    const idsByName = new Map();
+    const addCandidate = (name, userId) => {
+        if (!idsByName.has(name)) {
+            idsByName.set(name, new Set());
+        }
+        idsByName.get(name).add(userId);
+    };
+    playerNames.forEach((name, userId) => addCandidate(name, userId));
+    gameState.moveHistory.forEach(entry => {
+        if (entry.userId != null) {
+            addCandidate(entry.player, entry.userId);
+        }
+    });
+
+    let changed = false;
+    legacyNames.forEach(name => {
+        const candidates = idsByName.get(name);
+        if (candidates && candidates.size === 1) {
+            changed = replaceLegacyPlayer(gameState, name, [...candidates][0]) || changed;
+        }
+    });
+
+    return changed;
+}
+
+// Helper function to let a user take over the legacy name entry matching their display name
+async function claimLegacyPlayer(gameState, user) {
+    if (replaceLegacyPlayer(gameState, getDisplayName(user), user.id)) {
+        await persistGame(gameState);
+    }
+}
+
+// Default move delay system: 15 minutes after round 1, +15 minutes each following round
+const DEFAULT_BASE_DELAY = 900;
+const DEFAULT_DELAY_INCREMENT = 900;
+
+// How long a move vote stays open when no round timer is running (seconds)
+const DEFAULT_VOTE_WINDOW = 900;
+
+// Settings of a new game, chosen in the /newgame wizard
+// timingMode: 'round' (delay between rounds), 'clock' (chess clocks), 'correspondence' (days per move) or 'none'
+// maxTeamSize: 0 means unlimited
+const DEFAULT_GAME_SETTINGS = {
+    timingMode: 'round',
+    baseSeconds: DEFAULT_BASE_DELAY,
+    incrementSeconds: DEFAULT_DELAY_INCREMENT,
+    decisionMode: 'first_click',
+    maxTeamSize: 0,
+    allowTeamSwitch: false,
+    startFen: null, // Custom starting position, null for the standard one
+    preGameMoves: '' // Moves of an imported PGN that led to startFen, shown as pre-game history
+};
+
+// Helper function to apply wizard settings to a game that has not started yet
+function applyGameSettings(gameState, settings) {
+    gameState.settings = { ...DEFAULT_GAME_SETTINGS, ...settings };
+    const { timingMode, baseSeconds, incrementSeconds, decisionMode } = gameState.settings;
+
+    gameState.decisionMode = decisionMode;
+    gameState.moveDelay = {
+        enabled: timingMode === 'round',
+        baseDelay: timingMode === 'round' ? baseSeconds : DEFAULT_BASE_DELAY,
+        increment: timingMode === 'round' ? incrementSeconds : DEFAULT_DELAY_INCREMENT
+    };
+
+    if (timingMode === 'clock') {
+        gameState.timeControl = {
+            enabled: true,
+            mode: 'fischer',
+            initialSeconds: baseSeconds,
+            incrementSeconds
+        };
+        gameState.timeRemaining = { white: baseSeconds, black: baseSeconds };
+    } else {
+        gameState.timeControl = null;
+        gameState.timeRemaining = null;
+    }
+    gameState.clockStartedAt = null;
+
+    gameState.startFen = gameState.settings.startFen || null;
+    gameState.game.load(getStartFen(gameState));
+
+    gameState.correspondence = timingMode === 'correspondence' ? {
+        daysPerMove: baseSeconds / 86400,
+        turnDeadline: null,
+        vacationUntil: { white: null, black: null },
+        vacationDaysLeft: {} // Unused vacation days by user ID, DEFAULT_VACATION_DAYS when missing
+    } : null;
+}
+
+// Helper function to describe game settings, one line per setting
+function describeGameSettings(settings) {
+    const timing = {
+        round: `⏱️ Timing: ${formatTime(settings.baseSeconds)} between rounds, +${formatTime(settings.incrementSeconds)} each round`,
+        clock: `⏱️ Timing: chess clock ${formatTimeControl({ mode: 'fischer', initialSeconds: settings.baseSeconds, incrementSeconds: settings.incrementSeconds })}`,
+        correspondence: `⏱️ Timing: correspondence, ${formatTime(settings.baseSeconds)} per move`,
+        none: `⏱️ Timing: none, move whenever it's your turn`
+    }[settings.timingMode];
+
+    return [
+        timing,
+        settings.decisionMode === 'vote' ? '🗳️ Moves: team vote' : '👆 Moves: first click wins',
+        settings.maxTeamSize > 0 ? `👥 Team size: up to ${settings.maxTeamSize} player${settings.maxTeamSize !== 1 ? 's' : ''}` : '👥 Team size: unlimited',
+        `🔁 Team switching: ${settings.allowTeamSwitch ? 'allowed' : 'not allowed'}`,
+        settings.startFen
+            ? `♟️ Start: ${settings.preGameMoves ? 'position from an imported PGN' : 'custom position'}\n${settings.startFen}`
+            : '♟️ Start: standard position'
+    ].join('\n');
+}
+
+// Helper function to check if a player may join a team, returns an error message or null
+function getJoinError(gameState, userId, team) {
+    const settings = gameState.settings || DEFAULT_GAME_SETTINGS;
+    const teamName = team === 'white' ? 'White' : 'Black';
+    const members = team === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    const otherTeam = team === 'white' ? gameState.blackTeam : gameState.whiteTeam;
+
+    if (gameState.engine && gameState.engine.side === team) {
+        return `❌ The ${teamName} team is played by ${getEngineName(gameState.engine)}.`;
+    }
+    if (otherTeam.includes(userId) && !settings.allowTeamSwitch) {
+        return `❌ Team switching is not allowed in this game, you stay on the ${team === 'white' ? 'Black' : 'White'} team.`;
+    }
+    if (settings.maxTeamSize > 0 && !members.includes(userId) && members.length >= settings.maxTeamSize) {
+        return `❌ The ${teamName} team is full (${settings.maxTeamSize} player${settings.maxTeamSize !== 1 ? 's' : ''}).`;
+    }
+    return null;
+}
+
+// Helper function to create a fresh in-memory game state
+function createGameState(fields = {}) {
+    return {
+        game: new Chess(),
+        lastMove: null,
+        players: [],
+        whiteTeam: [],
+        blackTeam: [],
+        joinedUsers: [], // Track users who joined via deep link
+        capturedPieces: { white: [], black: [] },
+        resignVotes: { white: [], black: [] },
+        drawVotes: { white: [], black: [] },
+        moveHistory: [],
+        channelId: null,
+        channelName: null,
+        channelMessageId: null,
+        boardMessages: {}, // Latest board message in each private chat, edited on updates: { [chatId]: { messageId, sentAt } }
+        moveDelay: {
+            enabled: true,
+            baseDelay: DEFAULT_BASE_DELAY,
+            increment: DEFAULT_DELAY_INCREMENT
+        },
+        lastMoveTime: null,
+        moveNumber: 0,
+        roundEndTime: null,
+        roundOpenNotified: null, // moveNumber whose round opening was already announced by the scheduler
+        drawOffer: null, // Draw offered by a team majority: { by: 'white'|'black', declineVotes: [] }
+        result: null, // Set when the game ends off the board: { score, reason, termination }
+        startFen: null, // Position the game started from, null for the standard starting position
+        startedAt: Date.now(), // When the game was created (timestamp), the PGN Date
+        decisionMode: 'first_click', // 'first_click' or 'vote' (team votes on each move)
+        moveVotes: null, // Open ballot in vote mode: { side, ply, deadline, votes: [{ userId, move, san, at }] }
+        timeControl: null, // Chess clocks: { enabled, mode: 'fischer'|'bronstein', initialSeconds, incrementSeconds }
+        timeRemaining: null, // Seconds left on each clock when it was last stopped: { white, black }
+        clockStartedAt: null, // When the clock of the side to move was started (timestamp)
+        settings: { ...DEFAULT_GAME_SETTINGS }, // Choices made in the /newgame wizard
+        correspondence: null, // Correspondence games: { daysPerMove, turnDeadline, vacationUntil: { white, black }, vacationDaysLeft }
+        engine: null, // Built-in engine playing one side: { side: 'white'|'black', level }
+        ...fields
+    };
+}
+
+// Helper function to build the gameState JSON stored in the database
+function serializeGameState(gameState) {
+    return {
+        fen: gameState.game.fen(),
+        channelMessageId: gameState.channelMessageId,
+        boardMessages: gameState.boardMessages,
+        joinedUsers: gameState.joinedUsers || [],
+        moveDelay: gameState.moveDelay,
+        moveNumber: gameState.moveNumber || 0,
+        lastMoveTime: gameState.lastMoveTime,
+        roundEndTime: gameState.roundEndTime,
+        roundOpenNotified: gameState.roundOpenNotified,
+        resignVotes: gameState.resignVotes,
+        drawVotes: gameState.drawVotes,
+        drawOffer: gameState.drawOffer,
+        decisionMode: gameState.decisionMode,
+        moveVotes: gameState.moveVotes,
+        timeControl: gameState.timeControl,
+        timeRemaining: gameState.timeRemaining,
+        clockStartedAt: gameState.clockStartedAt,
+        settings: gameState.settings,
+        correspondence: gameState.correspondence,
+        engine: gameState.engine,
+        startFen: gameState.startFen,
+        startedAt: gameState.startedAt
+    };
+}
+
+// Helper function to save a channel game to the database
+async function persistGame(gameState) {
+    if (!gameState.channelId || gameState.result || gameState.game.isGameOver()) {
+        return; // Only running channel games are stored, finished ones get deleted
+    }
+
+    await saveGame(db, {
+        channelId: gameState.channelId,
+        channelName: gameState.channelName || gameState.channelId,
+        gameState: serializeGameState(gameState),
+        whiteTeam: gameState.whiteTeam,
+        blackTeam: gameState.blackTeam,
+        moveCount: gameState.moveNumber || gameState.game.history().length
+    });
+}
+
+// Helper function to build a move history entry from a chess.js move
+function createHistoryEntry(move, number, player, userId, timestamp) {
+    return {
+        number,
+        player,
+        userId: userId || null,
+        move: `${move.from} → ${move.to}`,
+        moveSan: move.san, // Standard Algebraic Notation
+        uci: `${move.from}${move.to}${move.promotion || ''}`,
+        from: move.from,
+        to: move.to,
+        captured: move.captured ? pieceSymbols[move.captured] : null,
+        promotion: move.promotion || null,
+        flags: move.flags || '',
+        fen: move.after,
+        timestamp
+    };
+}
+
+// Helper function to add a captured piece to the captured pieces display
+function trackCapture(gameState, move) {
+    if (move.captured) {
+        const capturingSide = move.color;
+        const capturedSide = capturingSide === 'w' ? 'black' : 'white';
+        gameState.capturedPieces[capturedSide].push(move.captured);
+    }
+}
+
+// Helper function to update game state after a move was played on the board
+function recordMove(gameState, move, player, userId) {
+    const now = Date.now();
+
+    gameState.lastMove = {
+        player,
+        move: `${move.from}${move.to}${move.promotion || ''}`,
+        timestamp: new Date(now)
+    };
+
+    // Update move tracking
+    gameState.lastMoveTime = now;
+    gameState.moveNumber = (gameState.moveNumber || 0) + 1;
+
+    // If round is complete (both sides moved), start the timer
+    // moveNumber is now even (2, 4, 6...) = both sides have moved
+    if (gameState.moveNumber % 2 === 0) {
+        gameState.roundEndTime = now;
+    }
+
+    trackCapture(gameState, move);
+
+    const movedSide = move.color === 'w' ? 'white' : 'black';
+    pressClock(gameState, movedSide, now);
+    startCorrespondenceTurn(gameState, movedSide === 'white' ? 'black' : 'white', now);
+
+    // Moving instead of answering declines a pending draw offer, unfinished draw votes lapse too
+    if (!gameState.drawOffer || gameState.drawOffer.by !== movedSide) {
+        clearDrawOffer(gameState);
+    }
+
+    // Add move to history with full details for analytics
+    if (!gameState.moveHistory) {
+        gameState.moveHistory = [];
+    }
+    const entry = createHistoryEntry(move, gameState.moveHistory.length + 1, player, userId, now);
+    gameState.moveHistory.push(entry);
+
+    return entry;
+}
+
+// Helper function to save a recorded move of a channel game to the database
+async function persistMove(gameState, entry) {
+    if (!gameState.channelId || gameState.result || gameState.game.isGameOver()) {
+        return; // Finished games are deleted, see persistGame
+    }
+
+    // The position before the move is the previous move's position, or the start of the game
+    // (for games restored from a position only, the position they were restored from)
+    const previousEntry = gameState.moveHistory[gameState.moveHistory.indexOf(entry) - 1];
+
+    await saveMove(db, gameState.channelId, {
+        ply: entry.number,
+        san: entry.moveSan,
+        uci: entry.uci,
+        player: entry.player,
+        userId: entry.userId,
+        fenBefore: previousEntry ? previousEntry.fen : getStartFen(gameState),
+        fenAfter: entry.fen,
+        timestamp: entry.timestamp
+    });
+}
+
+// Helper function to replay stored moves from a game's start position, rebuilding history and captures
+function replayMoveRows(gameState, moveRows) {
+    gameState.game.load(getStartFen(gameState));
+    gameState.moveHistory = [];
+    gameState.capturedPieces = { white: [], black: [] };
+
+    moveRows.forEach(row => {
+        const move = gameState.game.move({
+            from: row.uci.slice(0, 2),
+            to: row.uci.slice(2, 4),
+            promotion: row.uci[4]
+        });
+        const userId = row.userId != null ? Number(row.userId) : null;
+
+        trackCapture(gameState, move);
+        gameState.moveHistory.push(createHistoryEntry(move, row.ply, row.player, userId, row.timestamp));
+    });
+}
+
+// Helper function to rebuild an in-memory game state from a database row and its moves
+function buildGameStateFromRow(dbGame, moveRows = []) {
+    const savedState = JSON.parse(dbGame.gameState || '{}');
+    const whiteTeam = JSON.parse(dbGame.whiteTeam || '[]');
+    const blackTeam = JSON.parse(dbGame.blackTeam || '[]');
+
+    const gameState = createGameState({
+        players: [...whiteTeam, ...blackTeam],
+        whiteTeam,
+        blackTeam,
+        joinedUsers: savedState.joinedUsers || [],
+        channelId: dbGame.channelId,
+        channelName: dbGame.channelName,
+        channelMessageId: savedState.channelMessageId || null,
+        boardMessages: savedState.boardMessages || {},
+        moveDelay: savedState.moveDelay || createGameState().moveDelay,
+        moveNumber: savedState.moveNumber || 0,
+        lastMoveTime: savedState.lastMoveTime || null,
+        roundEndTime: savedState.roundEndTime || null,
+        roundOpenNotified: savedState.roundOpenNotified || null,
+        resignVotes: savedState.resignVotes || { white: [], black: [] },
+        drawVotes: savedState.drawVotes || { white: [], black: [] },
+        drawOffer: savedState.drawOffer || null,
+        decisionMode: savedState.decisionMode || 'first_click',
+        moveVotes: savedState.moveVotes || null,
+        timeControl: savedState.timeControl || null,
+        timeRemaining: savedState.timeRemaining || null,
+        clockStartedAt: savedState.clockStartedAt || null,
+        settings: { ...DEFAULT_GAME_SETTINGS, ...savedState.settings },
+        correspondence: savedState.correspondence || null,
+        engine: savedState.engine || null,
+        startFen: savedState.startFen || null,
+        // Games saved before the start date was stored fall back to their first move
+        startedAt: savedState.startedAt || (moveRows.length > 0 ? moveRows[0].timestamp : null)
+    });
+
+    if (moveRows.length === 0) {
+        // Games saved before moves were tracked only have their position, exports start from there
+        if (savedState.fen && savedState.fen !== getStartFen(gameState)) {
+            gameState.startFen = savedState.fen;
+        }
+        gameState.game.load(getStartFen(gameState));
+        return gameState;
+    }
+
+    // Replay from the position the first stored move was played from: games restored from a position
+    // only (saved before moves were tracked) did not start from their startFen
+    if (moveRows[0].fenBefore && moveRows[0].fenBefore !== getStartFen(gameState)) {
+        gameState.startFen = moveRows[0].fenBefore;
+    }
+
+    try {
+        replayMoveRows(gameState, moveRows);
+    } catch (error) {
+        // Moves stored without fenBefore that do not replay from the start: resume at the first move
+        // stored with its position, or keep the saved position without history
+        console.error(`Error replaying moves of game ${dbGame.channelId}, restoring from a later position:`, error.message);
+        const resumeIndex = moveRows.findIndex(row => row.fenBefore);
+        if (resumeIndex === -1 && !savedState.fen) {
+            throw error;
+        }
+        gameState.startFen = resumeIndex === -1 ? savedState.fen : moveRows[resumeIndex].fenBefore;
+        replayMoveRows(gameState, resumeIndex === -1 ? [] : moveRows.slice(resumeIndex));
+    }
+
+    const lastRow = moveRows[moveRows.length - 1];
+    gameState.lastMove = {
+        player: lastRow.player,
+        move: lastRow.uci,
+        timestamp: new Date(lastRow.timestamp)
+    };
+    gameState.moveNumber = Math.max(gameState.moveNumber, moveRows.length);
+
+    return gameState;
+}
+
+// Helper function to register a restored game and reconnect its players
+function registerRestoredGame(gameState) {
+    activeGames.set(gameState.channelId, gameState);
+
+    // Private chats of joined users point back to this channel game
+    gameState.joinedUsers.forEach(userId => {
+        userToChannel.set(String(userId), gameState.channelId);
+    });
+}
+
+// Helper function to get a channel game from memory, loading it from the database if needed
+async function loadGameFromDatabase(channelId) {
+    if (activeGames.has(channelId)) {
+        return activeGames.get(channelId);
+    }
+
+    const dbGame = await getGameByChannelId(db, channelId);
+    if (!dbGame) {
+        return null;
+    }
+
+    const moveRows = await getMoves(db, channelId);
+    const gameState = buildGameStateFromRow(dbGame, moveRows);
+    registerRestoredGame(gameState);
+
+    if (migrateLegacyTeams(gameState)) {
+        await persistGame(gameState);
+    }
+    return gameState;
+}
+
+// Restore every saved game on startup so boards keep working across restarts
+async function restoreActiveGames() {
+    // Load display names first, they are needed to migrate legacy teams
+    const players = await getPlayers(db);
+    players.forEach(player => {
+        playerNames.set(Number(player.userId), player.displayName);
+    });
+
+    const settingsRows = await getChatSettings(db);
+    settingsRows.forEach(row => {
+        try {
+            chatSettings.set(row.chatId, JSON.parse(row.settings));
+        } catch (error) {
+            console.error(`Error reading settings for chat ${row.chatId}:`, error);
+        }
+    });
+
+    const games = await getActiveGames(db);
+
+    for (const dbGame of games) {
+        // Rows are ordered by most recent update, keep the newest one per channel
+        if (activeGames.has(dbGame.channelId)) {
+            continue;
+        }
+
+        try {
+            const moveRows = await getMoves(db, dbGame.channelId);
+            const gameState = buildGameStateFromRow(dbGame, moveRows);
+            registerRestoredGame(gameState);
+
+            if (migrateLegacyTeams(gameState)) {
+                await persistGame(gameState);
+            }
+        } catch (error) {
+            console.error(`Error restoring game for channel ${dbGame.channelId}:`, error);
+        }
+    }
+
+    console.log(`Restored ${activeGames.size} active game(s) from database`);
+}
+
+// Helper function to handle joining a game
+async function handleGameJoin(channelId, chatId, user, team) {
+    let gameState = activeGames.get(channelId);
+
+    if (!gameState) {
+        bot.sendMessage(chatId, 'Game not found in memory. Please try again.');
+        return;
+    }
+
+    const userId = user.id;
+    const username = getDisplayName(user);
+    await claimLegacyPlayer(gameState, user);
+
+    // Check if user is already in this team
+    const chosenTeam = team === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    if (chosenTeam.includes(userId)) {
+        bot.sendMessage(chatId, `✅ You're already joined on the ${team === 'white' ? 'White' : 'Black'} team!\n\nRefreshing board...`);
+        await showGameStatus(chatId, gameState, username);
+        return;
+    }
+
+    // Check the team size and switching settings of this game
+    const joinError = getJoinError(gameState, userId, team);
+    if (joinError) {
+        bot.sendMessage(chatId, joinError);
+        await showGameStatus(chatId, gameState, username);
+        return;
+    }
+
+    addPlayerToTeam(gameState, userId, team);
+
+    // Store the connection
+    userToChannel.set(String(chatId), channelId);
+
+    // Add user to joinedUsers list
+    if (!gameState.joinedUsers) {
+        gameState.joinedUsers = [];
+    }
+    if (!gameState.joinedUsers.includes(chatId)) {
+        gameState.joinedUsers.push(chatId);
+    }
+
+    // Update the database
+    await persistGame(gameState);
+
+    const teamIcon = team === 'white' ? '⚪' : '⚫';
+    bot.sendMessage(chatId, `${teamIcon} ${username} joined the ${team === 'white' ? 'White' : 'Black'} team!\nWhite: ${formatTeam(gameState.whiteTeam)}\nBlack: ${formatTeam(gameState.blackTeam)}`);
+    await showGameStatus(chatId, gameState, username);
+}
+
+// Helper function to end a game decided off the board (resignation, draw agreement)
+async function endGame(gameKey, gameState, result, chatId) {
+    gameState.result = result;
+    clearMoveVote(gameState);
+
+    activeGames.delete(gameKey);
+
+    // Delete from database if it's a channel game
+    if (gameState.channelId) {
+        await deleteGame(db, gameState.channelId);
+    }
+
+    // The analysis takes a while, so it runs without holding up the game's move lock
+    displayGameAnalytics(chatId, gameState);
+}
+
+// Helper function to record a player's vote to resign, the game ends once a majority of their team voted
+// Used by the Resign button and the /resign command
+async function voteToResign(gameKey, gameState, user, chatId) {
+    const userId = user.id;
+    const username = getDisplayName(user);
+
+    // Votes are counted one at a time with moves and scheduled jobs, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
+
+        // Determine which team the user is on
+        let userTeam = null;
+        let teamName = '';
+
+        if (gameState.whiteTeam.includes(userId)) {
+            userTeam = gameState.resignVotes.white;
+            teamName = 'White';
+        } else if (gameState.blackTeam.includes(userId)) {
+            userTeam = gameState.resignVotes.black;
+            teamName = 'Black';
+        } else {
+            bot.sendMessage(chatId, `❌ You must join a team first to vote!`);
+            return;
+        }
+
+        // Add vote if not already voted
+        if (!userTeam.includes(userId)) {
+            userTeam.push(userId);
+
+            // Count team members and votes
+            const teamPlayers = teamName === 'White' ? gameState.whiteTeam.length : gameState.blackTeam.length;
+            const voteCount = userTeam.length;
+            const majorityNeeded = Math.ceil(teamPlayers / 2); // More than half
+
+            if (voteCount >= majorityNeeded) {
+                // Majority reached - end game
+                await endGame(gameKey, gameState, {
+                    score: teamName === 'White' ? '0-1' : '1-0',
+                    reason: `${teamName} resigned - ${teamName === 'White' ? 'Black' : 'White'} wins`,
+                    termination: 'resignation'
+                }, chatId);
+
+                bot.sendMessage(chatId, `🏳️ ${teamName} team resigned (${voteCount}/${teamPlayers} votes). Game ended.`);
+            } else {
+                bot.sendMessage(chatId, `🖐️ ${username} voted to resign.\n${teamName} team: ${voteCount}/${majorityNeeded} votes needed (${teamPlayers} total players)`);
+            }
+        } else {
+            bot.sendMessage(chatId, `You've already voted to resign.`);
+        }
+    });
+}
+
+// Helper function to end a game whose side to move ran out of time or missed its correspondence deadline
+// Returns true if the flag fell, so callers can refuse the move they were about to play
+async function checkFlagFall(gameKey, gameState) {
+    const flaggedSide = getFlaggedSide(gameState);
+    const forfeitedSide = flaggedSide ? null : getForfeitedSide(gameState);
+    if (!flaggedSide && !forfeitedSide) {
+        return false;
+    }
+
+    let result;
+    if (flaggedSide) {
+        result = getTimeoutResult(gameState.game, flaggedSide);
+        gameState.timeRemaining[flaggedSide] = 0;
+    } else {
+        const forfeitedTeam = forfeitedSide === 'white' ? 'White' : 'Black';
+        result = {
+            score: forfeitedSide === 'white' ? '0-1' : '1-0',
+            reason: `${forfeitedTeam} missed the move deadline - ${forfeitedSide === 'white' ? 'Black' : 'White'} wins by forfeit`,
+            termination: 'missed move deadline'
+        };
+    }
+    const reportChatId = gameState.channelId || gameKey;
+
+    await endGame(gameKey, gameState, result, reportChatId);
+
+    for (const userId of gameState.joinedUsers || []) {
+        try {
+            await bot.sendMessage(userId, `⏱️ ${result.reason}. Game ended.`);
+        } catch (error) {
+            console.error(`Error sending flag fall notice to user ${userId}:`, error);
+        }
+    }
+    return true;
+}
+
+// Helper function to withdraw a draw offer and forget all draw votes
+function clearDrawOffer(gameState) {
+    gameState.drawOffer = null;
+    gameState.drawVotes = { white: [], black: [] };
+}
+
+// Helper function to ask the other team to accept or decline a draw offer
+async function sendDrawOffer(gameState, offeringSide, chatId) {
+    const offeringTeam = offeringSide === 'white' ? 'White' : 'Black';
+    const answeringTeam = offeringSide === 'white' ? gameState.blackTeam : gameState.whiteTeam;
+    const options = {
+        reply_markup: {
+            inline_keyboard: [[
+                { text: '🤝 Accept Draw', callback_data: 'draw_accept' },
+                { text: '🙅 Decline', callback_data: 'draw_decline' }
+            ]]
+        }
+    };
+    const text = `🤝 The ${offeringTeam} team offers a draw.\nA majority of your team must accept it.`;
+
+    // Private chat games share one chat, channel games reach the other team in their private chats
+    if (!gameState.channelId) {
+        await bot.sendMessage(chatId, text, options);
+        return;
+    }
+
+    for (const userId of gameState.joinedUsers || []) {
+        if (answeringTeam.includes(userId)) {
+            try {
+                await bot.sendMessage(userId, text, options);
+            } catch (error) {
+                console.error(`Error sending draw offer to user ${userId}:`, error);
+            }
+        }
+    }
+
+    await showGameStatus(gameState.channelId, gameState, '', false);
+}
+
+// Helper function to run a task while holding a game's lock, after every task queued before it
+// Everything that plays a move (buttons, /move, votes, the engine, the scheduler) goes through it,
+// so validating, playing, saving and broadcasting moves of one game never interleave
+async function withGameLock(gameKey, task) {
+    const key = String(gameKey);
+    const previous = gameLocks.get(key) || Promise.resolve();
+    let release;
+    const done = new Promise(resolve => {
+        release = resolve;
+    });
+    const tail = previous.then(() => done);
+    gameLocks.set(key, tail);
+
+    await previous;
+    try {
+        return await task();
+    } finally {
+        release();
+        if (gameLocks.get(key) === tail) {
+            gameLocks.delete(key);
+        }
+    }
+}
+
+// Helper function to record, save and broadcast a move that was just played on the board
+// chatId is the private chat the move came from, or null for moves the bot plays itself
+async function completeMove(gameState, move, player, playerId, chatId = null, notice = '') {
+    const { game } = gameState;
+    const historyEntry = recordMove(gameState, move, player, playerId);
+    const reportChatId = chatId || gameState.channelId;
+
+    // A new move always closes the current ballot
+    clearMoveVote(gameState);
+
+    const moveDescription = move.captured ?
+        `${move.from} → ${move.to} captures ${pieceSymbols[move.captured]}` :
+        `${move.from} → ${move.to}`;
+
+    // Save to database if this is a channel game
+    if (gameState.channelId) {
+        await persistGame(gameState);
+        await persistMove(gameState, historyEntry);
+
+        // If game is over, delete from database (analytics are shown below)
+        if (game.isGameOver()) {
+            await deleteGame(db, gameState.channelId);
+        }
+    }
+
+    // A game finished on the board ends like one ended with endGame, so the chat or channel
+    // can start a new game and the scheduler stops checking it
+    const gameKey = gameState.channelId || String(chatId);
+    if (game.isGameOver() && activeGames.get(gameKey) === gameState) {
+        activeGames.delete(gameKey);
+    }
+
+    // Notify about the move
+    let moveNotification = notice || `✅ ${player} played: ${moveDescription}`;
+
+    // If round just completed (both sides moved), inform players timer has started
+    if (gameState.moveNumber % 2 === 0 && gameState.moveDelay && gameState.moveDelay.enabled) {
+        const roundNumber = Math.floor(gameState.moveNumber / 2);
+        const formattedTime = formatTime(getRoundDelay(gameState));
+        moveNotification += `\n\n⏰ Round ${roundNumber} complete! Timer started: ${formattedTime} before next round`;
+    }
+
+    // The notification is shown above the board caption, boards are edited in place
+    // so a separate message per move would flood every player's chat
+    if (chatId) {
+        // Show updated board in private chat
+        await showGameStatus(chatId, gameState, player, true, { note: moveNotification });
+    }
+
+    // Also update channel board if this is a channel game
+    if (gameState.channelId) {
+        await showGameStatus(gameState.channelId, gameState, player, false);
+    }
+
+    // Send updates to all users who joined via deep link
+    if (gameState.joinedUsers && gameState.joinedUsers.length > 0) {
+        for (const userId of gameState.joinedUsers) {
+            if (userId !== chatId) { // Don't send to the player who made the move (already sent above)
+                try {
+                    await showGameStatus(userId, gameState, '', true, { note: moveNotification });
+                } catch (error) {
+                    console.error(`Error sending update to user ${userId}:`, error);
+                }
+            }
+        }
+    }
+
+    // Display analytics for the finished game (also sent to the channel and every joined user)
+    // The analysis takes a while, so it runs without holding up the game's move lock
+    if (game.isGameOver()) {
+        displayGameAnalytics(reportChatId, gameState);
+    }
+}
+
+// Helper function to find a legal move matching a button/command notation (e.g. e2e4, e7e8=q)
+function findLegalMove(game, moveNotation) {
+    const notation = moveNotation.replace('=', '').toLowerCase();
+    return game.moves({ verbose: true }).find(move =>
+        `${move.from}${move.to}${move.promotion || ''}` === notation
+    ) || null;
+}
+
+// Helper function to get the open ballot for the current move, if any
+function getOpenMoveVote(gameState) {
+    const ballot = gameState.moveVotes;
+    if (!ballot || ballot.ply !== (gameState.moveNumber || 0)) {
+        return null; // No ballot, or one left over from an earlier move
+    }
+    return ballot;
+}
+
+// Helper function to count the votes of a ballot, most voted first
+// Ties are broken in favour of the move that received its first vote earliest
+function tallyMoveVotes(ballot) {
+    const tally = new Map();
+    ballot.votes.forEach(vote => {
+        if (!tally.has(vote.move)) {
+            tally.set(vote.move, { move: vote.move, san: vote.san, count: 0, firstVoteAt: vote.at, voters: [] });
+        }
+        const entry = tally.get(vote.move);
+        entry.count++;
+        entry.firstVoteAt = Math.min(entry.firstVoteAt, vote.at);
+        entry.voters.push(vote.userId);
+    });
+
+    return [...tally.values()].sort((a, b) => b.count - a.count || a.firstVoteAt - b.firstVoteAt);
+}
+
+// Helper function to get when a new ballot closes
+// While the round timer runs, voting closes when it expires; otherwise votes stay open for one base delay
+function getVoteDeadline(gameState) {
+    if (!canMakeMove(gameState)) {
+        return Date.now() + getRemainingDelay(gameState) * 1000;
+    }
+
+    const window = gameState.moveDelay && gameState.moveDelay.enabled
+        ? gameState.moveDelay.baseDelay
+        : DEFAULT_VOTE_WINDOW;
+
+    // With chess clocks the vote must close before the team's flag falls
+    if (isClockEnabled(gameState) && gameState.clockStartedAt) {
+        const side = gameState.game.turn() === 'w' ? 'white' : 'black';
+        const clockWindow = Math.max(0, getClockRemaining(gameState, side) * 1000 - SCHEDULER_INTERVAL);
+        return Date.now() + Math.min(window * 1000, clockWindow);
+    }
+    return Date.now() + window * 1000;
+}
+
+// Helper function to check whether a ballot can be decided before its deadline
+// Quorum: every team member voted, or one move has a majority of the team
+function hasVoteQuorum(gameState, ballot) {
+    const team = ballot.side === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    const leader = tallyMoveVotes(ballot)[0];
+
+    return ballot.votes.length >= team.length || (leader && leader.count > team.length / 2);
+}
+
+// Helper function to close the current ballot
+function clearMoveVote(gameState) {
+    gameState.moveVotes = null;
+}
+
+// Helper function to play the winning move of the current ballot
+// Private games report the move to their chat (the game key), channel games to the channel and joined users
+async function resolveMoveVote(gameKey, gameState) {
+    const ballot = getOpenMoveVote(gameState);
+    if (!ballot || ballot.votes.length === 0 || gameState.game.isGameOver()) {
+        return;
+    }
+
+    // Never play before the round timer allows it, the scheduler retries when it expires
+    if (!canMakeMove(gameState)) {
+        ballot.deadline = Date.now() + getRemainingDelay(gameState) * 1000;
+        await persistGame(gameState);
+        return;
+    }
+
+    const [winner] = tallyMoveVotes(ballot);
+    let move;
+    try {
+        move = gameState.game.move(winner.move);
+    } catch (error) {
+        console.error('Winning vote is not a legal move:', winner.move, error.message);
+        clearMoveVote(gameState);
+        await persistGame(gameState);
+        return;
+    }
+
+    const teamName = ballot.side === 'white' ? 'White' : 'Black';
+    const voterNames = winner.voters.map(voterId => getPlayerName(voterId)).join(', ');
+    const notice = `🗳️ ${teamName} team vote: ${move.from} → ${move.to} (${winner.count}/${ballot.votes.length} votes: ${voterNames})`;
+
+    // The move is credited to the first player who voted for it
+    await completeMove(gameState, move, getPlayerName(winner.voters[0]), winner.voters[0], gameState.channelId ? null : gameKey, notice);
+}
+
+// Helper function to describe the current ballot for the board caption
+function formatVoteTally(gameState) {
+    const ballot = getOpenMoveVote(gameState);
+    const teamName = gameState.game.turn() === 'w' ? 'White' : 'Black';
+
+    if (!ballot || ballot.votes.length === 0) {
+        return `🗳️ Vote mode: ${teamName} team votes on the next move`;
+    }
+
+    const team = ballot.side === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    const remaining = Math.ceil(Math.max(0, ballot.deadline - Date.now()) / 1000);
+    let tallyText = `🗳️ ${teamName} team vote (${ballot.votes.length}/${team.length} voted, closes in ${formatTime(remaining)}):`;
+    tallyMoveVotes(ballot).forEach(entry => {
+        tallyText += `\n• ${entry.san}: ${entry.count} vote${entry.count !== 1 ? 's' : ''}`;
+    });
+
+    return tallyText;
+}
+
+// Helper function to record a team member's vote for the next move (vote decision mode)
+async function castMoveVote(gameKey, gameState, user, moveNotation, chatId) {
+    const { game } = gameState;
+    const side = game.turn() === 'w' ? 'white' : 'black';
+    const legalMove = findLegalMove(game, moveNotation);
+
+    if (!legalMove) {
+        bot.sendMessage(chatId, `❌ Invalid move: ${moveNotation}`);
+        await showGameStatus(chatId, gameState, getDisplayName(user));
+        return;
+    }
+
+    let ballot = getOpenMoveVote(gameState);
+    if (!ballot) {
+        ballot = {
+            side,
+            ply: gameState.moveNumber || 0,
+            deadline: getVoteDeadline(gameState),
+            votes: []
+        };
+        gameState.moveVotes = ballot;
+    }
+
+    // One vote per player, voting again replaces the previous choice
+    const uci = `${legalMove.from}${legalMove.to}${legalMove.promotion || ''}`;
+    ballot.votes = ballot.votes.filter(vote => vote.userId !== user.id);
+    ballot.votes.push({ userId: user.id, move: uci, san: legalMove.san, at: Date.now() });
+
+    await persistGame(gameState);
+
+    if (hasVoteQuorum(gameState, ballot) && canMakeMove(gameState)) {
+        await resolveMoveVote(gameKey, gameState);
+        return;
+    }
+
+    bot.sendMessage(chatId,
+        `🗳️ You voted for ${legalMove.from} → ${legalMove.to}.\n` +
+        `Voting closes in ${formatTime(Math.ceil(Math.max(0, ballot.deadline - Date.now()) / 1000))} or when the team reaches a quorum.`
+    );
+    await showGameStatus(chatId, gameState, getDisplayName(user));
+}
+
+// Helper function to get the display name of the engine playing a side
+function getEngineName(engine) {
+    return `Bot (level ${engine.level})`;
+}
+
+// Helper function to check if the engine is to move
+function isEngineTurn(gameState) {
+    const { engine, game } = gameState;
+    if (!engine || gameState.result || game.isGameOver()) {
+        return false;
+    }
+    return engine.side === (game.turn() === 'w' ? 'white' : 'black');
+}
+
+// Helper function to let the engine play when it is its turn and the round timer allows it
+// Private games report the move to their chat (the game key), channel games to the channel and joined users
+async function playEngineMove(gameKey, gameState) {
+    if (!isEngineTurn(gameState) || !canMakeMove(gameState)) {
+        return;
+    }
+
+    // With a chess clock the engine spends at most a twentieth of its remaining time
+    const maxTimeMs = isClockEnabled(gameState)
+        ? getClockRemaining(gameState, gameState.engine.side) * 1000 / 20
+        : Infinity;
+    // The search runs in a worker thread, the game may have ended (e.g. a resignation) while it ran
+    const fen = gameState.game.fen();
+    const { move: bestMove } = await findBestMoveAsync(fen, gameState.engine.level, maxTimeMs);
+    if (!bestMove || activeGames.get(gameKey) !== gameState || gameState.game.fen() !== fen || !isEngineTurn(gameState)) {
+        return;
+    }
+
+    const move = gameState.game.move({ from: bestMove.from, to: bestMove.to, promotion: bestMove.promotion });
+    await completeMove(gameState, move, getEngineName(gameState.engine), null, gameState.channelId ? null : gameKey);
+}
+
+// How often the background scheduler checks game deadlines (milliseconds)
+const SCHEDULER_INTERVAL = 5000;
+
+// Helper function to get when the running round timer expires (timestamp), or null if none is running
+function getRoundOpensAt(gameState) {
+    const moveNumber = gameState.moveNumber || 0;
+    if (!gameState.moveDelay || !gameState.moveDelay.enabled || !gameState.roundEndTime) {
+        return null;
+    }
+    if (moveNumber === 0 || moveNumber % 2 === 1) {
+        return null; // Game not started or round in progress, no timer
+    }
+
+    return gameState.roundEndTime + getRoundDelay(gameState) * 1000;
+}
+
+// Helper function to update the channel board and tell the team to move that a new round is open
+async function announceRoundOpen(gameState) {
+    const side = gameState.game.turn() === 'w' ? 'white' : 'black';
+    const teamName = side === 'white' ? 'White' : 'Black';
+    const team = side === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    const roundNumber = Math.floor(gameState.moveNumber / 2) + 1;
+
+    gameState.roundOpenNotified = gameState.moveNumber;
+    await persistGame(gameState);
+
+    if (gameState.channelId) {
+        await showGameStatus(gameState.channelId, gameState, '', false);
+    }
+
+    for (const userId of gameState.joinedUsers || []) {
+        if (!team.includes(userId)) {
+            continue;
+        }
+        try {
+            await bot.sendMessage(userId, `⏰ Round ${roundNumber} is open! It's your team's turn (${teamName}).`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '🔄 Show Board', callback_data: 'refresh' }]]
+                }
+            });
+        } catch (error) {
+            console.error(`Error sending round notification to user ${userId}:`, error);
+        }
+    }
+}
+
+// Helper function to run the deadline jobs of one game
+async function runGameJobs(gameKey, gameState) {
+    // The game may have ended while the jobs waited for its lock
+    if (activeGames.get(gameKey) !== gameState || gameState.result || gameState.game.isGameOver()) {
+        return;
+    }
+
+    // End games whose clock ran out
+    if (await checkFlagFall(gameKey, gameState)) {
+        return;
+    }
+
+    // Close move votes whose deadline passed
+    const ballot = getOpenMoveVote(gameState);
+    if (ballot && ballot.votes.length > 0 && Date.now() >= ballot.deadline) {
+        await resolveMoveVote(gameKey, gameState);
+        return;
+    }
+
+    // Announce rounds whose timer expired
+    const roundOpensAt = getRoundOpensAt(gameState);
+    if (roundOpensAt && Date.now() >= roundOpensAt && gameState.roundOpenNotified !== gameState.moveNumber) {
+        await announceRoundOpen(gameState);
+    }
+
+    // Let the engine move once the timer allows it (and after restarts)
+    await playEngineMove(gameKey, gameState);
+}
+
+// Background scheduler - all deadlines are stored in the game state (and the database),
+// so after a restart anything that came due while the bot was down runs on the first tick
+let schedulerRunning = false;
+
+async function runScheduledJobs() {
+    if (schedulerRunning) {
+        return; // Previous tick is still sending messages
+    }
+
+    schedulerRunning = true;
+    try {
+        for (const [gameKey, gameState] of [...activeGames.entries()]) {
+            try {
+                await withGameLock(gameKey, () => runGameJobs(gameKey, gameState));
+            } catch (error) {
+                console.error(`Error running scheduled jobs for game ${gameState.channelId}:`, error);
+            }
+        }
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+function startScheduler() {
+    setInterval(runScheduledJobs, SCHEDULER_INTERVAL);
+    runScheduledJobs();
+}
+
+// Handle callback queries (button clicks)
+bot.on('callback_query', async (callbackQuery) => {
+    const msg = callbackQuery.message;
+    const chatId = msg.chat.id;
+    // Move picker buttons end with the fingerprint of the position they were made for
+    const [data, fingerprint] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from.id;
+    const username = getDisplayName(callbackQuery.from);
+
+    console.log('Callback query received:', {
+        username,
+        userId,
+        chatId,
+        data,
+        fingerprint,
+        messageChatId: msg.chat.id
+    });
+
+    // Reject move buttons with an alert instead of the plain acknowledgement
+    const alert = getMoveButtonAlert(msg, data, fingerprint);
+    if (alert) {
+        bot.answerCallbackQuery(callbackQuery.id, { text: alert, show_alert: true });
+        return;
+    }
+
+    // Acknowledge the callback
+    bot.answerCallbackQuery(callbackQuery.id);
+
+    // Keep the player's display name current and claim any legacy name-based team entry
+    registerPlayer(callbackQuery.from);
+    if (userToChannel.has(String(chatId)) && activeGames.has(userToChannel.get(String(chatId)))) {
+        await claimLegacyPlayer(activeGames.get(userToChannel.get(String(chatId))), callbackQuery.from);
+    }
+
+    // Handle the /settings menu
+    if (data.startsWith('settings_')) {
+        await handleSettingsCallback(chatId, msg.message_id, data, callbackQuery.from);
+        return;
+    }
+
+    // Handle the new game settings wizard
+    if (data.startsWith('setup_')) {
+        await handleSetupCallback(chatId, callbackQuery.from, data);
+        return;
+    }
+
+    // Handle start menu buttons
+    if (data === 'start_newgame') {
+        // Check if a game already exists
+        if (activeGames.has(String(chatId))) {
+            bot.sendMessage(chatId, 'There is already an active game. Click "Join Game" to join the current game.');
+            return;
+        }
+
+        // Determine if this is a channel
         const isChannel = msg.chat.type === 'channel' || msg.chat.type === 'supergroup';
-        const gameKey = isChannel ? String(chatId) : 'default';
-
-        activeGames.set(gameKey, {
-            game: newGame,
-            lastMove: null,
-            players: [],
-            whiteTeam: [],
-            blackTeam: [],
-            capturedPieces: { white: [], black: [] },
-            resignVotes: { white: [], black: [] },
-            drawVotes: { white: [], black: [] },
-            moveHistory: [],
-            channelId: isChannel ? String(chatId) : null,
-            channelMessageId: null,
-            moveDelay: {
-                enabled: true,
-                baseDelay: 900, // 15 minutes
-                increment: 900  // +15 minutes per round
-            },
-            moveNumber: 0,
-            lastMoveTime: null,
-            roundEndTime: null
+        await openSetupWizard(chatId, userId, isChannel ? chatId : null);
+        return;
+    }
+
+    if (data === 'start_bot') {
+        const keyboard = Object.keys(ENGINE_LEVELS).map(level => [
+            { text: `🤖 Bot (level ${level})`, callback_data: `bot_level_${level}` }
+        ]);
+        keyboard.push([{ text: '🔙 Back', callback_data: 'home' }]);
+
+        bot.sendMessage(chatId, `🤖 Play vs Bot\n\nChoose the bot's strength (1 = beginner, ${Object.keys(ENGINE_LEVELS).length} = strongest):`, {
+            reply_markup: { inline_keyboard: keyboard }
         });
-        const gameState1 = activeGames.get(gameKey);
-        bot.sendMessage(chatId, `🎮 New game started by ${username}! Choose your side:`, {
+        return;
+    }
+
+    if (data.startsWith('bot_level_')) {
+        const level = data.replace('bot_level_', '');
+        bot.sendMessage(chatId, `🤖 Bot (level ${level})\n\nWhich side do you want to play?`, {
             reply_markup: {
-                inline_keyboard: [
-                    [{ text: `⚪ Join White (${gameState1.whiteTeam.length} players)`, callback_data: 'join_white' }],
-                    [{ text: `⚫ Join Black (${gameState1.blackTeam.length} players)`, callback_data: 'join_black' }]
-                ]
+                inline_keyboard: [[
+                    { text: '⚪ White', callback_data: `bot_side_${level}_white` },
+                    { text: '⚫ Black', callback_data: `bot_side_${level}_black` }
+                ]]
             }
         });
         return;
     }
 
+    if (data.startsWith('bot_side_')) {
+        const [level, side] = data.replace('bot_side_', '').split('_');
+        const gameKey = String(chatId);
+
+        if (!ENGINE_LEVELS[level] || (side !== 'white' && side !== 'black')) {
+            return;
+        }
+        if (activeGames.has(gameKey)) {
+            bot.sendMessage(chatId, 'There is already an active game. Finish or resign it first.');
+            return;
+        }
+
+        // Solo games have no timer, the bot answers right after each move
+        const gameState = createGameState();
+        applyGameSettings(gameState, { timingMode: 'none' });
+        gameState.engine = { side: side === 'white' ? 'black' : 'white', level: Number(level) };
+        addPlayerToTeam(gameState, userId, side);
+        activeGames.set(gameKey, gameState);
+
+        bot.sendMessage(chatId, `🤖 New game vs ${getEngineName(gameState.engine)}! You play ${side === 'white' ? 'White' : 'Black'}.`);
+        await showGameStatus(chatId, gameState, username);
+        await withGameLock(gameKey, () => playEngineMove(gameKey, gameState));
+        return;
+    }
+
     if (data === 'start_channel_game') {
         // Ask for channel username or ID
         bot.sendMessage(chatId,
@@ -1206,14 +3539,13 @@ bot.on('callback_query', async (callbackQuery) => {
 
             if (targetChannelId) {
                 try {
-                    const gameKey = String(targetChannelId);
-                    const gameExists = activeGames.has(gameKey);
-                    await startGameInChannel(targetChannelId, username);
-
-                    // Only send success message if a new game was started
-                    if (!gameExists) {
-                        bot.sendMessage(chatId, `✅ Game started in channel! Check it out.`);
+                    if (activeGames.has(String(targetChannelId))) {
+                        bot.sendMessage(chatId, 'There is already an active game in that channel.');
+                        return;
                     }
+
+                    // The game is posted once the settings are chosen
+                    await openSetupWizard(chatId, userId, targetChannelId);
                 } catch (error) {
                     console.error('Error starting game in channel:', error);
                     bot.sendMessage(chatId,
@@ -1231,11 +3563,11 @@ bot.on('callback_query', async (callbackQuery) => {
 
     if (data === 'start_join') {
         // First check if there's a local game
-        if (activeGames.has(chatId)) {
-            const gameState = activeGames.get(chatId);
+        if (activeGames.has(String(chatId))) {
+            const gameState = activeGames.get(String(chatId));
 
             // Check if user already joined
-            if (gameState.players.includes(username)) {
+            if (gameState.players.includes(userId)) {
                 bot.sendMessage(chatId, `You're already in the game!`);
                 return;
             }
@@ -1302,81 +3634,48 @@ bot.on('callback_query', async (callbackQuery) => {
         return;
     }
 
+    // Handle joining a team for a selected game
+    // (checked before the generic join_game_ prefix, which would otherwise swallow it)
+    if (data.startsWith('join_game_white_') || data.startsWith('join_game_black_')) {
+        const team = data.startsWith('join_game_white_') ? 'white' : 'black';
+        const channelId = data.replace(`join_game_${team}_`, '');
+        console.log(`Attempting to join ${team} team:`, { channelId, chatId, username });
+
+        try {
+            const gameState = await loadGameFromDatabase(channelId);
+            if (!gameState) {
+                bot.sendMessage(chatId, 'Game not found.');
+                return;
+            }
+
+            await handleGameJoin(channelId, chatId, callbackQuery.from, team);
+        } catch (error) {
+            console.error('Error loading game:', error);
+            bot.sendMessage(chatId, 'Error loading game.');
+        }
+        return;
+    }
+
     // Handle joining a specific game from the list
     if (data.startsWith('join_game_')) {
         const channelId = data.replace('join_game_', '');
 
-        // Try to get game from active games
-        let gameState = activeGames.get(channelId);
+        let gameState = null;
+        try {
+            // Try active games first, then fall back to the database
+            gameState = await loadGameFromDatabase(channelId);
+        } catch (error) {
+            console.error('Error loading game from database:', error);
+            bot.sendMessage(chatId, 'Error loading game.');
+            return;
+        }
 
-        // If not in active games, try to load from database
         if (!gameState) {
-            getGameByChannelId(db, channelId).then(dbGame => {
-                if (!dbGame) {
-                    bot.sendMessage(chatId, 'Game not found.');
-                    return;
-                }
-
-                // Load the game state from database
-                const gameStateData = JSON.parse(dbGame.gameState);
-                const game = new Chess();
-                game.load(gameStateData.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
-
-                // Reconstruct full game state with all required fields
-                const whiteTeam = JSON.parse(dbGame.whiteTeam || '[]');
-                const blackTeam = JSON.parse(dbGame.blackTeam || '[]');
-
-                // Initialize move delay system
-                const baseDelay = 900; // Start with 15 minutes delay between rounds
-                const increment = 900; // Increase by 15 minutes each round (900 seconds = 15 minutes)
-
-                gameState = {
-                    game: game,
-                    lastMove: null,
-                    players: [...whiteTeam, ...blackTeam],
-                    whiteTeam: whiteTeam,
-                    blackTeam: blackTeam,
-                    joinedUsers: [],
-                    capturedPieces: { white: [], black: [] },
-                    resignVotes: { white: [], black: [] },
-                    drawVotes: { white: [], black: [] },
-                    moveHistory: [],
-                    channelId: dbGame.channelId,
-                    channelName: dbGame.channelName,
-                    channelMessageId: null,
-                    moveDelay: {
-                        enabled: true,
-                        baseDelay: baseDelay,
-                        increment: increment
-                    },
-                    lastMoveTime: null,
-                    moveNumber: 0,
-                    roundEndTime: null
-                };
-
-                // Store in active games
-                activeGames.set(channelId, gameState);
-
-                // Show side selection
-                bot.sendMessage(chatId,
-                    `🎮 Joining: ${dbGame.channelName || `Game ${dbGame.id}`}\n\nChoose your side:`,
-                    {
-                        reply_markup: {
-                            inline_keyboard: [
-                                [{ text: `⚪ Join White (${gameState.whiteTeam.length} players)`, callback_data: `join_game_white_${channelId}` }],
-                                [{ text: `⚫ Join Black (${gameState.blackTeam.length} players)`, callback_data: `join_game_black_${channelId}` }]
-                            ]
-                        }
-                    }
-                );
-            }).catch(error => {
-                console.error('Error loading game from database:', error);
-                bot.sendMessage(chatId, 'Error loading game.');
-            });
+            bot.sendMessage(chatId, 'Game not found.');
             return;
         }
 
-        // Game is in active games, show side selection
+        // Show side selection
         bot.sendMessage(chatId,
             `🎮 Joining: ${gameState.channelName || channelId}\n\nChoose your side:`,
             {
@@ -1391,233 +3690,30 @@ bot.on('callback_query', async (callbackQuery) => {
         return;
     }
 
-    // Handle joining white team for a selected game
-    if (data.startsWith('join_game_white_')) {
-        const channelId = data.replace('join_game_white_', '');
-        console.log('Attempting to join white team:', { channelId, chatId, username });
-
-        // Check if game is in active games
-        if (!activeGames.has(channelId)) {
-            bot.sendMessage(chatId, 'Game not found in memory. Loading from database...');
-
-            // Try to load from database
-            getGameByChannelId(db, channelId).then(dbGame => {
-                if (!dbGame) {
-                    bot.sendMessage(chatId, 'Game not found.');
-                    return;
-                }
-
-                const gameStateData = JSON.parse(dbGame.gameState);
-                const game = new Chess();
-                game.load(gameStateData.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
-
-                const whiteTeam = JSON.parse(dbGame.whiteTeam || '[]');
-                const blackTeam = JSON.parse(dbGame.blackTeam || '[]');
-
-                // Initialize time control
-                const initialTime = 300;
-                const increment = 3;
-
-                const gameState = {
-                    game: game,
-                    lastMove: null,
-                    players: [...whiteTeam, ...blackTeam],
-                    whiteTeam: whiteTeam,
-                    blackTeam: blackTeam,
-                    joinedUsers: [],
-                    capturedPieces: { white: [], black: [] },
-                    resignVotes: { white: [], black: [] },
-                    drawVotes: { white: [], black: [] },
-                    moveHistory: [],
-                    channelId: dbGame.channelId,
-                    channelName: dbGame.channelName,
-                    channelMessageId: null,
-                    timeControl: {
-                        enabled: true,
-                        initialSeconds: initialTime,
-                        incrementSeconds: increment
-                    },
-                    timeRemaining: {
-                        white: initialTime,
-                        black: initialTime
-                    },
-                    timerInterval: null
-                };
-
-                activeGames.set(channelId, gameState);
-
-                // Now join
-                handleGameJoin(channelId, chatId, username, 'white');
-            }).catch(error => {
-                console.error('Error loading game:', error);
-                bot.sendMessage(chatId, 'Error loading game.');
-            });
-            return;
-        }
-
-        handleGameJoin(channelId, chatId, username, 'white');
-        return;
-    }
-
-    // Handle joining black team for a selected game
-    if (data.startsWith('join_game_black_')) {
-        const channelId = data.replace('join_game_black_', '');
-        console.log('Attempting to join black team:', { channelId, chatId, username });
-
-        // Check if game is in active games
-        if (!activeGames.has(channelId)) {
-            bot.sendMessage(chatId, 'Game not found in memory. Loading from database...');
-
-            // Try to load from database
-            getGameByChannelId(db, channelId).then(dbGame => {
-                if (!dbGame) {
-                    bot.sendMessage(chatId, 'Game not found.');
-                    return;
-                }
-
-                const gameStateData = JSON.parse(dbGame.gameState);
-                const game = new Chess();
-                game.load(gameStateData.fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
-
-                const whiteTeam = JSON.parse(dbGame.whiteTeam || '[]');
-                const blackTeam = JSON.parse(dbGame.blackTeam || '[]');
-
-                // Initialize time control
-                const initialTime = 300;
-                const increment = 3;
-
-                const gameState = {
-                    gameэффици: game,
-                    lastMove: null,
-                    players: [...whiteTeam, ...blackTeam],
-                    whiteTeam: whiteTeam,
-                    blackTeam: blackTeam,
-                    joinedUsers: [],
-                    capturedPieces: { white: [], black: [] },
-                    resignVotes: { white: [], black: [] },
-                    drawVotes: { white: [], black: [] },
-                    moveHistory: [],
-                    channelId: dbGame.channelId,
-                    channelName: dbGame.channelName,
-                    channelMessageId: null,
-                    timeControl: {
-                        enabled: true,
-                        initialSeconds: initialTime,
-                        incrementSeconds: increment
-                    },
-                    timeRemaining: {
-                        white: initialTime,
-                        black: initialTime
-                    },
-                    timerInterval: null
-                };
-
-                activeGames.set(channelId, gameState);
-
-                // Now join
-                handleGameJoin(channelId, chatId, username, 'black');
-            }).catch(error => {
-                console.error('Error loading game:', error);
-                bot.sendMessage(chatId, 'Error loading game.');
-            });
-            return;
-        }
-
-        handleGameJoin(channelId, chatId, username, 'black');
-        return;
-    }
-
-    // Handle joining white team for channel game
-    if (data.startsWith('join_channel_white_')) {
-        const channelId = data.replace('join_channel_white_', '');
+    // Handle joining a team for channel game
+    if (data.startsWith('join_channel_white_') || data.startsWith('join_channel_black_')) {
+        const team = data.startsWith('join_channel_white_') ? 'white' : 'black';
+        const teamName = team === 'white' ? 'White' : 'Black';
+        const channelId = data.replace(`join_channel_${team}_`, '');
         if (!activeGames.has(channelId)) {
             bot.sendMessage(chatId, 'No active game found.');
             return;
         }
         const gameState = activeGames.get(channelId);
+        await claimLegacyPlayer(gameState, callbackQuery.from);
 
-        // Check if user is already in a team
-        const isInWhiteTeam = gameState.whiteTeam.includes(username);
-        const isInBlackTeam = gameState.blackTeam.includes(username);
-
-        if (isInWhiteTeam || isInBlackTeam) {
-            const currentTeam = isInWhiteTeam ? 'White' : 'Black';
-            bot.sendMessage(chatId, `✅ You're already joined on the ${currentTeam} team!\n\nRefreshing board...`);
-
-            // Make sure userToChannel is set for existing players
-            if (!userToChannel.has(String(chatId))) {
-                userToChannel.set(String(chatId), channelId);
-            }
-
-            // Make sure user is in joinedUsers list
-            if (!gameState.joinedUsers) {
-                gameState.joinedUsers = [];
-            }
-            if (!gameState.joinedUsers.includes(chatId)) {
-                gameState.joinedUsers.push(chatId);
-            }
-
-            await showGameStatus(chatId, gameState, username);
-            return;
-        }
-
-        // Remove from black team if they were there
-        gameState.blackTeam = gameState.blackTeam.filter(p => p !== username);
-
-        // Add to white team if not already there
-        if (!gameState.whiteTeam.includes(username)) {
-            gameState.whiteTeam.push(username);
-        }
-
-        // Add to players list
-        if (!gameState.players.includes(username)) {
-            gameState.players.push(username);
-        }
-
-        // Store the connection
-        userToChannel.set(String(chatId), channelId);
-
-        // Add user to joinedUsers list to receive updates
-        if (!gameState.joinedUsers) {
-            gameState.joinedUsers = [];
-        }
-        if (!gameState.joinedUsers.includes(chatId)) {
-            gameState.joinedUsers.push(chatId);
-        }
-
-        // Save to database
-        await saveGame(db, {
-            channelId: gameState.channelId,
-            channelName: gameState.channelName || gameState.channelId,
-            gameState: { fen: gameState.game.fen() },
-            whiteTeam: gameState.whiteTeam,
-            blackTeam: gameState.blackTeam,
-            moveCount: gameState.game.history().length
-        });
-
-        bot.sendMessage(chatId, `⚪ ${username} joined the White team in the channel game!\nWhite: ${gameState.whiteTeam.join(', ')}\nBlack: ${gameState.blackTeam.join(', ') || 'None'}`);
-        await showGameStatus(chatId, gameState, username);
-
-        // Don't update channel board on join - keep channel clean
-        return;
-    }
+        // Check if user is already in this team
+        const chosenTeam = team === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+        const isInOtherTeam = (team === 'white' ? gameState.blackTeam : gameState.whiteTeam).includes(userId);
+        const joinError = chosenTeam.includes(userId) ? null : getJoinError(gameState, userId, team);
 
-    // Handle joining black team for channel game
-    if (data.startsWith('join_channel_black_')) {
-        const channelId = data.replace('join_channel_black_', '');
-        if (!activeGames.has(channelId)) {
-            bot.sendMessage(chatId, 'No active game found.');
+        if (joinError && !isInOtherTeam) {
+            bot.sendMessage(chatId, joinError); // Team is full
             return;
         }
-        const gameState = activeGames.get(channelId);
-
-        // Check if user is already in a team
-        const isInWhiteTeam = gameState.whiteTeam.includes(username);
-        const isInBlackTeam = gameState.blackTeam.includes(username);
 
-        if (isInWhiteTeam || isInBlackTeam) {
-            const currentTeam = isInWhiteTeam ? 'White' : 'Black';
-            bot.sendMessage(chatId, `✅ You're already joined on the ${currentTeam} team!\n\nRefreshing board...`);
+        if (chosenTeam.includes(userId) || joinError) {
+            bot.sendMessage(chatId, joinError || `✅ You're already joined on the ${teamName} team!\n\nRefreshing board...`);
 
             // Make sure userToChannel is set for existing players
             if (!userToChannel.has(String(chatId))) {
@@ -1630,24 +3726,14 @@ bot.on('callback_query', async (callbackQuery) => {
             }
             if (!gameState.joinedUsers.includes(chatId)) {
                 gameState.joinedUsers.push(chatId);
+                await persistGame(gameState);
             }
 
             await showGameStatus(chatId, gameState, username);
             return;
         }
 
-        // Remove from white team if they were there
-        gameState.whiteTeam = gameState.whiteTeam.filter(p => p !== username);
-
-        // Add to black team if not already there
-        if (!gameState.blackTeam.includes(username)) {
-            gameState.blackTeam.push(username);
-        }
-
-        // Add to players list
-        if (!gameState.players.includes(username)) {
-            gameState.players.push(username);
-        }
+        addPlayerToTeam(gameState, userId, team);
 
         // Store the connection
         userToChannel.set(String(chatId), channelId);
@@ -1661,68 +3747,33 @@ bot.on('callback_query', async (callbackQuery) => {
         }
 
         // Save to database
-        await saveGame(db, {
-            channelId: gameState.channelId,
-            channelName: gameState.channelName || gameState.channelId,
-            gameState: { fen: gameState.game.fen() },
-            whiteTeam: gameState.whiteTeam,
-            blackTeam: gameState.blackTeam,
-            moveCount: gameState.game.history().length
-        });
+        await persistGame(gameState);
 
-        bot.sendMessage(chatId, `⚫ ${username} joined the Black team in the channel game!\nWhite: ${gameState.whiteTeam.join(', ') || 'None'}\nBlack: ${gameState.blackTeam.join(', ')}`);
+        bot.sendMessage(chatId, `${team === 'white' ? '⚪' : '⚫'} ${username} joined the ${teamName} team in the channel game!\nWhite: ${formatTeam(gameState.whiteTeam)}\nBlack: ${formatTeam(gameState.blackTeam)}`);
         await showGameStatus(chatId, gameState, username);
 
         // Don't update channel board on join - keep channel clean
         return;
     }
 
-    // Handle joining white team
-    if (data === 'join_white') {
-        if (!activeGames.has(chatId)) {
+    // Handle joining a team
+    if (data === 'join_white' || data === 'join_black') {
+        const team = data === 'join_white' ? 'white' : 'black';
+        if (!activeGames.has(String(chatId))) {
             bot.sendMessage(chatId, 'No active game found.');
             return;
         }
-        const gameState = activeGames.get(chatId);
-
-        // Remove from black team if they were there
-        gameState.blackTeam = gameState.blackTeam.filter(p => p !== username);
-
-        // Add to white team if not already there
-        if (!gameState.whiteTeam.includes(username)) {
-            gameState.whiteTeam.push(username);
-        }
-
-        // Add to players list
-        if (!gameState.players.includes(username)) {
-            gameState.players.push(username);
-        }
-
-        bot.sendMessage(chatId, `⚪ ${username} joined the White team!\nWhite: ${gameState.whiteTeam.join(', ')}\nBlack: ${gameState.blackTeam.join(', ') || 'None'}`);
-        await showGameStatus(chatId, gameState, username);
-        return;
-    }
+        const gameState = activeGames.get(String(chatId));
 
-    // Handle joining black team
-    if (data === 'join_black') {
-        if (!activeGames.has(chatId)) {
-            bot.sendMessage(chatId, 'No active game found.');
+        const joinError = getJoinError(gameState, userId, team);
+        if (joinError) {
+            bot.sendMessage(chatId, joinError);
             return;
         }
-        const gameState = activeGames.get(chatId);
-
-        // Remove from white team if they were there
-        gameState.whiteTeam = gameState.whiteTeam.filter(p => p !== username);
 
-        // Add to black team if not already there
-        gameState.blackTeam.push(username);
-
-        // Add to players list
-        if (!gameState.players.includes(username)) {
-            gameState.players.push(username);
-        }
+        addPlayerToTeam(gameState, userId, team);
 
-        bot.sendMessage(chatId, `⚫ ${username} joined the Black team!\nWhite: ${gameState.whiteTeam.join(', ') || 'None'}\nBlack: ${gameState.blackTeam.join(', ')}`);
+        bot.sendMessage(chatId, `${team === 'white' ? '⚪' : '⚫'} ${username} joined the ${team === 'white' ? 'White' : 'Black'} team!\nWhite: ${formatTeam(gameState.whiteTeam)}\nBlack: ${formatTeam(gameState.blackTeam)}`);
         await showGameStatus(chatId, gameState, username);
         return;
     }
@@ -1747,7 +3798,7 @@ bot.on('callback_query', async (callbackQuery) => {
             `📖 How to play:\n` +
             `1. Click "New Game" to start\n` +
             `2. Click "Join Game" to join (anyone can play)\n` +
-            `3. Make moves by clicking the buttons below the board\n` +
+            `3. Make a move by clicking a piece below the board, then its destination\n` +
             `4. Moves are validated automatically\n\n` +
             `⏱️ Timer System:\n` +
             `• Round in progress: After first player moves, second can move immediately\n` +
@@ -1763,11 +3814,11 @@ bot.on('callback_query', async (callbackQuery) => {
 
     // Handle game-related buttons (need active game)
     // Check if there's a game for this chatId or if user is connected to a channel game
-    const hasGame = activeGames.has(chatId) || userToChannel.has(String(chatId));
+    const hasGame = activeGames.has(String(chatId)) || userToChannel.has(String(chatId));
 
     if (!hasGame) {
-        // Only show no game message for refresh/resign, not for home
-        if (data === 'refresh' || data === 'resign') {
+        // Only show no game message for game actions, not for home
+        if (data === 'refresh' || data === 'resign' || data.startsWith('draw_')) {
             const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
             bot.sendMessage(chatId, 'No active game found.', {
                 reply_markup: { inline_keyboard: keyboard }
@@ -1783,6 +3834,9 @@ bot.on('callback_query', async (callbackQuery) => {
                 { text: '🎮 New Game', callback_data: 'start_newgame' },
                 { text: '👥 Join Game', callback_data: 'start_join' }
             ],
+            [
+                { text: '🤖 Play vs Bot', callback_data: 'start_bot' }
+            ],
             [
                 { text: '📚 Help', callback_data: 'start_help' }
             ]
@@ -1822,6 +3876,37 @@ bot.on('callback_query', async (callbackQuery) => {
         return;
     }
 
+    if (data === 'hint') {
+        // Get the game of the board the button is on
+        const targetGameState = getGameForButton(chatId, msg.message_id, fingerprint);
+
+        if (!targetGameState || !targetGameState.engine || targetGameState.game.isGameOver() || isEngineTurn(targetGameState)) {
+            bot.sendMessage(chatId, 'Hints are only available on your turn in a game against the bot.');
+            return;
+        }
+
+        // The hint is the move the engine would play at a fixed, fairly strong level
+        // The search runs in the engine's worker thread, skip the hint if a move was played meanwhile
+        const { depth, timeLimitMs } = ENGINE_LEVELS[HINT_ENGINE_LEVEL];
+        const fen = targetGameState.game.fen();
+        const result = await searchPositionAsync(fen, { depth, timeLimitMs });
+        if (targetGameState.game.fen() !== fen) {
+            return;
+        }
+        if (!result.move) {
+            bot.sendMessage(chatId, 'No hint available in this position.');
+            return;
+        }
+
+        const hintMove = targetGameState.game.moves({ verbose: true })
+            .find(move => move.from === result.move.from && move.to === result.move.to);
+        await showGameStatus(chatId, targetGameState, username, true, {
+            arrows: [{ from: result.move.from, to: result.move.to }],
+            note: `💡 Hint: ${hintMove ? hintMove.san : result.move.uci}`
+        });
+        return;
+    }
+
     if (data === 'show_history') {
         // Get the game state - check if user is connected to a channel game first
         let targetGameState = null;
@@ -1839,14 +3924,19 @@ bot.on('callback_query', async (callbackQuery) => {
             return;
         }
 
-        if (!targetGameState.moveHistory || targetGameState.moveHistory.length === 0) {
+        const preGameMoves = targetGameState.settings && targetGameState.settings.preGameMoves;
+        if ((!targetGameState.moveHistory || targetGameState.moveHistory.length === 0) && !preGameMoves) {
             bot.sendMessage(chatId, 'No moves yet!');
             return;
         }
 
-        let historyText = `📜 Full Move History (${targetGameState.moveHistory.length} moves):\n\n`;
+        let historyText = '';
+        if (preGameMoves) {
+            historyText += `📥 Pre-game moves (imported):\n${formatPreGameMoves(preGameMoves, 1500)}\n\n`;
+        }
+        historyText += `📜 Full Move History (${targetGameState.moveHistory.length} moves):\n\n`;
         targetGameState.moveHistory.forEach((move) => {
-            let moveText = `${move.number}. ${move.player}: ${move.move}`;
+            let moveText = `${move.number}. ${getMovePlayerName(move)}: ${move.move}`;
             if (move.captured) {
                 moveText += ` captures ${move.captured}`;
             }
@@ -1856,8 +3946,8 @@ bot.on('callback_query', async (callbackQuery) => {
         // Add team information with counts
         const whiteTeamCount = targetGameState.whiteTeam.length;
         const blackTeamCount = targetGameState.blackTeam.length;
-        historyText += `\n⚪ White Team (${whiteTeamCount} player${whiteTeamCount !== 1 ? 's' : ''}): ${targetGameState.whiteTeam.join(', ') || 'None'}`;
-        historyText += `\n⚫ Black Team (${blackTeamCount} player${blackTeamCount !== 1 ? 's' : ''}): ${targetGameState.blackTeam.join(', ') || 'None'}`;
+        historyText += `\n⚪ White Team (${whiteTeamCount} player${whiteTeamCount !== 1 ? 's' : ''}): ${formatTeam(targetGameState.whiteTeam)}`;
+        historyText += `\n⚫ Black Team (${blackTeamCount} player${blackTeamCount !== 1 ? 's' : ''}): ${formatTeam(targetGameState.blackTeam)}`;
 
         bot.sendMessage(chatId, historyText);
         return;
@@ -1884,80 +3974,149 @@ bot.on('callback_query', async (callbackQuery) => {
             return;
         }
 
-        // Determine which team the user is on
-        let userTeam = null;
-        let teamName = '';
+        await voteToResign(gameKey, gameState, callbackQuery.from, chatId);
+        return;
+    }
 
-        if (gameState.whiteTeam.includes(username)) {
-            userTeam = gameState.resignVotes.white;
-            teamName = 'White';
-        } else if (gameState.blackTeam.includes(username)) {
-            userTeam = gameState.resignVotes.black;
-            teamName = 'Black';
-        } else {
-            bot.sendMessage(chatId, `❌ You must join a team first to vote!`);
+    if (data === 'draw_offer' || data === 'draw_accept' || data === 'draw_decline') {
+        // Get the game state - check if user is connected to a channel game first
+        let gameState = null;
+        let gameKey = null;
+
+        if (userToChannel.has(String(chatId))) {
+            gameKey = userToChannel.get(String(chatId));
+            gameState = activeGames.get(gameKey) || null;
+        } else if (activeGames.has(String(chatId))) {
+            gameKey = String(chatId);
+            gameState = activeGames.get(gameKey);
+        }
+
+        if (!gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
             return;
         }
 
-        // Add vote if not already voted
-        if (!userTeam.includes(username)) {
-            userTeam.push(username);
+        // Game changes are made one at a time with moves and scheduled jobs, see withGameLock
+        await withGameLock(gameKey, async () => {
+            // The game may have ended while this waited for the lock
+            if (activeGames.get(gameKey) !== gameState) {
+                bot.sendMessage(chatId, 'No active game found.');
+                return;
+            }
+
+            let side = null;
+            if (gameState.whiteTeam.includes(userId)) {
+                side = 'white';
+            } else if (gameState.blackTeam.includes(userId)) {
+                side = 'black';
+            } else {
+                bot.sendMessage(chatId, `❌ You must join a team first to vote!`);
+                return;
+            }
+
+            const teamName = side === 'white' ? 'White' : 'Black';
+            const team = side === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+            const majorityNeeded = Math.ceil(team.length / 2);
+            const offer = gameState.drawOffer;
 
-            // Count team members and votes
-            const teamPlayers = teamName === 'White' ? gameState.whiteTeam.length : gameState.blackTeam.length;
-            const voteCount = userTeam.length;
-            const majorityNeeded = Math.ceil(teamPlayers / 2); // More than half
+            if (data === 'draw_decline') {
+                if (!offer || offer.by === side) {
+                    bot.sendMessage(chatId, 'There is no draw offer to decline.');
+                    return;
+                }
 
-            if (voteCount >= majorityNeeded) {
-                // Majority reached - end game
-                // Show analytics before deleting
-                await displayGameAnalytics(chatId, gameState);
+                if (!offer.declineVotes.includes(userId)) {
+                    offer.declineVotes.push(userId);
+                }
+
+                if (offer.declineVotes.length >= majorityNeeded) {
+                    clearDrawOffer(gameState);
+                    await persistGame(gameState);
+                    bot.sendMessage(chatId, `🙅 ${teamName} team declined the draw offer. The game goes on!`);
+                    if (gameState.channelId) {
+                        await showGameStatus(gameState.channelId, gameState, username, false);
+                    }
+                } else {
+                    await persistGame(gameState);
+                    bot.sendMessage(chatId, `🙅 ${username} voted to decline the draw.\n${teamName} team: ${offer.declineVotes.length}/${majorityNeeded} votes needed`);
+                }
+                return;
+            }
+
+            if (offer && offer.by === side) {
+                bot.sendMessage(chatId, `🤝 Your team already offered a draw. Waiting for the other team to answer.`);
+                return;
+            }
 
-                activeGames.delete(gameKey);
+            const votes = gameState.drawVotes[side];
+            if (votes.includes(userId)) {
+                bot.sendMessage(chatId, offer ? `You've already voted to accept the draw.` : `You've already voted to offer a draw.`);
+                return;
+            }
+            votes.push(userId);
 
-                // Delete from database if it's a channel game
-                if (gameState.channelId) {
-                    await deleteGame(db, gameState.channelId);
+            if (offer) {
+                // The other team offered, so this is an acceptance vote
+                if (votes.length >= majorityNeeded) {
+                    await endGame(gameKey, gameState, { score: '1/2-1/2', reason: 'Draw by agreement', termination: 'draw agreement' }, chatId);
+                    bot.sendMessage(chatId, `🤝 ${teamName} team accepted the draw (${votes.length}/${team.length} votes). Game ended in a draw.`);
+                } else {
+                    await persistGame(gameState);
+                    bot.sendMessage(chatId, `🤝 ${username} voted to accept the draw.\n${teamName} team: ${votes.length}/${majorityNeeded} votes needed (${team.length} total players)`);
                 }
+                return;
+            }
 
-                bot.sendMessage(chatId, `🏳️ ${teamName} team resigned (${voteCount}/${teamPlayers} votes). Game ended.`);
+            if (votes.length >= majorityNeeded) {
+                gameState.drawOffer = { by: side, declineVotes: [] };
+                await persistGame(gameState);
+                bot.sendMessage(chatId, `🤝 ${teamName} team offers a draw (${votes.length}/${team.length} votes). Waiting for the other team to answer.`);
+                await sendDrawOffer(gameState, side, chatId);
             } else {
-                bot.sendMessage(chatId, `🖐️ ${username} voted to resign.\n${teamName} team: ${voteCount}/${majorityNeeded} votes needed (${teamPlayers} total players)`);
+                await persistGame(gameState);
+                bot.sendMessage(chatId, `🤝 ${username} voted to offer a draw.\n${teamName} team: ${votes.length}/${majorityNeeded} votes needed (${team.length} total players)`);
             }
-        } else {
-            bot.sendMessage(chatId, `You've already voted to resign.`);
-        }
+        });
         return;
     }
 
-    if (data.startsWith('move_')) {
-        console.log('Entering move handler for:', data);
+    // Handle the move picker: choose a piece, then its destination (and promotion piece)
+    if (data.startsWith('pick_') || data.startsWith('promo_')) {
+        // Get the game of the board the button is on
+        const targetGameState = getGameForButton(chatId, msg.message_id, fingerprint);
 
-        // Only allow moves from private chats
-        if (msg.chat.type !== 'private') {
-            console.log('Rejected: not a private chat');
-            bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Moves can only be made from private chat with the bot',
-                show_alert: true
-            });
+        if (!targetGameState || targetGameState.game.isGameOver()) {
+            bot.sendMessage(chatId, 'No active game found.');
             return;
         }
 
-        // Get the game state - check if user is connected to a channel game first
-        let targetGameState = null;
-        let targetGame = null;
+        let selection = null;
+        if (data.startsWith('promo_')) {
+            selection = { from: data.slice(6, 8), to: data.slice(8, 10) };
+        } else if (data !== 'pick_back') {
+            selection = { from: data.replace('pick_', '') };
+        }
 
-        if (userToChannel.has(String(chatId))) {
-            const channelId = userToChannel.get(String(chatId));
-            if (activeGames.has(channelId)) {
-                targetGameState = activeGames.get(channelId);
-                targetGame = targetGameState.game;
-            }
-        } else if (activeGames.has(String(chatId))) {
-            targetGameState = activeGames.get(String(chatId));
-            targetGame = targetGameState.game;
+        // The position may have changed since these buttons were sent
+        const stillLegal = !selection || targetGameState.game.moves({ square: selection.from, verbose: true })
+            .some(move => !selection.to || (move.to === selection.to && move.promotion));
+        if (!stillLegal) {
+            bot.sendMessage(chatId, '❌ That move is no longer possible. Here is the current board:');
+            await showGameStatus(chatId, targetGameState, username);
+            return;
         }
 
+        await showMovePicker(chatId, msg.message_id, targetGameState, selection);
+        return;
+    }
+
+    if (data.startsWith('move_')) {
+        console.log('Entering move handler for:', data);
+
+        // Get the game of the board the button is on
+        const targetGameState = getGameForButton(chatId, msg.message_id, fingerprint);
+        const targetGame = targetGameState && targetGameState.game;
+
         if (!targetGameState || !targetGame) {
             console.log('No game found. userToChannel has user?', userToChannel.has(String(chatId)));
             bot.sendMessage(chatId, 'No active game found.');
@@ -1965,186 +4124,155 @@ bot.on('callback_query', async (callbackQuery) => {
         }
 
         console.log('Game found successfully');
+        const targetGameKey = targetGameState.channelId || String(chatId);
 
-        // Check if game is over
-        if (targetGame.isGameOver()) {
-            const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
-            bot.sendMessage(chatId, 'Game is over.', {
-                reply_markup: { inline_keyboard: keyboard }
-            });
-            return;
-        }
-
-        // Check if user has joined any team
-        console.log('Move attempt - checking team membership:', {
-            username,
-            whiteTeam: targetGameState.whiteTeam,
-            blackTeam: targetGameState.blackTeam,
-            hasWhite: targetGameState.whiteTeam.includes(username),
-            hasBlack: targetGameState.blackTeam.includes(username)
-        });
+        // Moves on one game are played one at a time, see withGameLock
+        await withGameLock(targetGameKey, async () => {
+            // The game may have ended, or another move been played, while this one waited for the lock
+            if (activeGames.get(targetGameKey) !== targetGameState) {
+                bot.sendMessage(chatId, 'No active game found.');
+                return;
+            }
+            if (getPositionFingerprint(targetGameState) !== fingerprint) {
+                bot.sendMessage(chatId, '⌛ Another move was played first. Here is the current board:');
+                await showGameStatus(chatId, targetGameState, username);
+                return;
+            }
 
-        const hasJoinedTeam = targetGameState.whiteTeam.includes(username) || targetGameState.blackTeam.includes(username);
-        if (!hasJoinedTeam) {
-            console.log('User not found in any team');
-            bot.sendMessage(chatId, `❌ You must join a team first! Use "Join Game" to choose White or Black.`);
-            return;
-        }
+            // Check if game is over
+            if (targetGame.isGameOver()) {
+                const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
+                bot.sendMessage(chatId, 'Game is over.', {
+                    reply_markup: { inline_keyboard: keyboard }
+                });
+                return;
+            }
 
-        // Check if enough time has passed since last round ended
-        if (!canMakeMove(targetGameState)) {
-            const remaining = getRemainingDelay(targetGameState);
-            const formattedTime = formatTime(remaining);
-            const moveNumber = targetGameState.moveNumber || 0;
-            const roundNumber = Math.floor(moveNumber / 2);
-            bot.sendMessage(chatId,
-                `⏳ Timer is still counting down!\n\n` +
-                `Round ${roundNumber} is complete. Please wait ${formattedTime} for the timer to expire before starting round ${roundNumber + 1}.\n\n` +
-                `(Both sides must wait after completing a round)`
-            );
-            await showGameStatus(chatId, targetGameState, username);
-            return;
-        }
+            // Check if user has joined any team
+            console.log('Move attempt - checking team membership:', {
+                username,
+                userId,
+                whiteTeam: targetGameState.whiteTeam,
+                blackTeam: targetGameState.blackTeam,
+                hasWhite: targetGameState.whiteTeam.includes(userId),
+                hasBlack: targetGameState.blackTeam.includes(userId)
+            });
 
-        // Check if user is on the correct team
-        const currentSide = targetGame.turn() === 'w' ? 'white' : 'black';
-        const team = currentSide === 'white' ? targetGameState.whiteTeam : targetGameState.blackTeam;
+            const hasJoinedTeam = targetGameState.whiteTeam.includes(userId) || targetGameState.blackTeam.includes(userId);
+            if (!hasJoinedTeam) {
+                console.log('User not found in any team');
+                bot.sendMessage(chatId, `❌ You must join a team first! Use "Join Game" to choose White or Black.`);
+                return;
+            }
 
-        if (!team.includes(username)) {
-            const currentPlayer = currentSide === 'white' ? 'White' : 'Black';
-            bot.sendMessage(chatId, `❌ It's ${currentPlayer}'s turn, but you're on the other team!`);
-            await showGameStatus(chatId, targetGameState, username);
-            return;
-        }
+            // Check the clock before accepting the move
+            if (await checkFlagFall(targetGameKey, targetGameState)) {
+                return;
+            }
 
-        // Extract move notation
-        const moveNotation = data.replace('move_', '');
+            // Check if enough time has passed since last round ended
+            // (in vote mode teams may vote while the timer runs, the move is played when it expires)
+            if (targetGameState.decisionMode !== 'vote' && !canMakeMove(targetGameState)) {
+                const remaining = getRemainingDelay(targetGameState);
+                const formattedTime = formatTime(remaining);
+                const moveNumber = targetGameState.moveNumber || 0;
+                const roundNumber = Math.floor(moveNumber / 2);
+                bot.sendMessage(chatId,
+                    `⏳ Timer is still counting down!\n\n` +
+                    `Round ${roundNumber} is complete. Please wait ${formattedTime} for the timer to expire before starting round ${roundNumber + 1}.\n\n` +
+                    `(Both sides must wait after completing a round)`
+                );
+                await showGameStatus(chatId, targetGameState, username);
+                return;
+            }
 
-        try {
-            // Try to make the move
-            const move = targetGame.move(moveNotation);
+            // Check if user is on the correct team
+            const currentSide = targetGame.turn() === 'w' ? 'white' : 'black';
+            const team = currentSide === 'white' ? targetGameState.whiteTeam : targetGameState.blackTeam;
 
-            if (!move) {
-                bot.sendMessage(chatId, `❌ Invalid move: ${moveNotation}`);
+            if (!team.includes(userId)) {
+                const currentPlayer = currentSide === 'white' ? 'White' : 'Black';
+                bot.sendMessage(chatId, `❌ It's ${currentPlayer}'s turn, but you're on the other team!`);
                 await showGameStatus(chatId, targetGameState, username);
                 return;
             }
 
-            // Move was successful
-            targetGameState.lastMove = {
-                player: username,
-                move: moveNotation,
-                timestamp: new Date()
-            };
-
-            // Update move tracking
-            targetGameState.lastMoveTime = Date.now();
-            targetGameState.moveNumber = (targetGameState.moveNumber || 0) + 1;
+            // Extract move notation
+            const moveNotation = data.replace('move_', '');
 
-            // If round is complete (both sides moved), start the timer
-            // moveNumber is now even (2, 4, 6...) = both sides have moved
-            if (targetGameState.moveNumber % 2 === 0) {
-                targetGameState.roundEndTime = Date.now();
+            if (targetGameState.decisionMode === 'vote') {
+                await castMoveVote(targetGameKey, targetGameState, callbackQuery.from, moveNotation, chatId);
+                return;
             }
 
-            // Track captured pieces
-            if (move.captured) {
-                const capturedPiece = move.captured;
-                const capturingSide = move.color;
-                const capturedSide = capturingSide === 'w' ? 'black' : 'white';
-                targetGameState.capturedPieces[capturedSide].push(capturedPiece);
-            }
-
-            // Add move to history with full details for analytics
-            if (!targetGameState.moveHistory) {
-                targetGameState.moveHistory = [];
-            }
-            targetGameState.moveHistory.push({
-                number: targetGameState.moveHistory.length + 1,
-                player: username,
-                move: `${move.from} → ${move.to}`,
-                moveSan: move.san, // Standard Algebraic Notation
-                from: move.from,
-                to: move.to,
-                captured: move.captured ? pieceSymbols[move.captured] : null,
-                promotion: move.promotion || null,
-                flags: move.flags || '',
-                timestamp: Date.now()
-            });
-
-            const moveDescription = move.captured ?
-                `${move.from} → ${move.to} captures ${pieceSymbols[move.captured]}` :
-                `${move.from} → ${move.to}`;
-
-            // Save to database if this is a channel game
-            if (targetGameState.channelId) {
-                await saveGame(db, {
-                    channelId: targetGameState.channelId,
-                    channelName: targetGameState.channelName || targetGameState.channelId,
-                    gameState: { fen: targetGame.fen() },
-                    whiteTeam: targetGameState.whiteTeam,
-                    blackTeam: targetGameState.blackTeam,
-                    moveCount: targetGame.history().length
-                });
+            try {
+                // Try to make the move
+                const move = targetGame.move(moveNotation);
 
-                // If game is over, delete from database and show analytics
-                if (targetGame.isGameOver()) {
-                    await deleteGame(db, targetGameState.channelId);
-                    // Display analytics for the finished game
-                    await displayGameAnalytics(chatId, targetGameState);
+                if (!move) {
+                    bot.sendMessage(chatId, `❌ Invalid move: ${moveNotation}`);
+                    await showGameStatus(chatId, targetGameState, username);
+                    return;
                 }
-            }
 
-            // Notify about the move
-            let moveNotification = `✅ ${username} played: ${moveDescription}`;
+                // Move was successful
+                await completeMove(targetGameState, move, username, userId, chatId);
 
-            // If round just completed (both sides moved), inform players timer has started
-            if (targetGameState.moveNumber % 2 === 0 && targetGameState.moveDelay && targetGameState.moveDelay.enabled) {
-                const roundNumber = Math.floor(targetGameState.moveNumber / 2);
-                // First round (roundNumber=1) gets baseDelay only, subsequent rounds add increment
-                const timeLimit = targetGameState.moveDelay.baseDelay + (targetGameState.moveDelay.increment * (roundNumber - 1));
-                const formattedTime = formatTime(timeLimit);
-                moveNotification += `\n\n⏰ Round ${roundNumber} complete! Timer started: ${formattedTime} before next round`;
+                // Answer right away when the other side is played by the engine
+                await playEngineMove(targetGameKey, targetGameState);
+
+            } catch (error) {
+                bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+                await showGameStatus(chatId, targetGameState, username);
             }
+        });
+    }
+});
 
-            bot.sendMessage(chatId, moveNotification);
+// Helper function to find the game a board button belongs to
+// A player can have their own game in the private chat and be connected to a channel game at the same time
+// (the connection is kept, and restored at startup, for as long as the channel game runs), so the button
+// belongs to the game whose board message it is on, or else whose position its fingerprint matches
+function getGameForButton(chatId, messageId, fingerprint) {
+    const games = [userToChannel.get(String(chatId)), String(chatId)]
+        .map(gameKey => gameKey && activeGames.get(gameKey))
+        .filter(Boolean);
+
+    return games.find(gameState => getBoardMessageId(gameState, chatId) === messageId) ||
+        games.find(gameState => fingerprint && fingerprint === getPositionFingerprint(gameState)) ||
+        games[0] ||
+        null;
+}
 
-            // Show updated board in private chat
-            await showGameStatus(chatId, targetGameState, username);
+// Helper function to check a move picker button before it is handled
+// Returns the alert to show when the button can't be used, or null
+function getMoveButtonAlert(msg, data, fingerprint) {
+    const isMoveButton = data.startsWith('move_') || data.startsWith('pick_') || data.startsWith('promo_');
+    if (!isMoveButton) {
+        return null;
+    }
 
-            // Check if game ended and show analytics
-            if (targetGame.isGameOver()) {
-                await displayGameAnalytics(chatId, targetGameState);
-            }
-
-            // Also update channel board if this is a channel game
-            if (targetGameState.channelId) {
-                await showGameStatus(targetGameState.channelId, targetGameState, username, false);
-            }
-
-            // Send updates to all users who joined via deep link
-            if (targetGameState.joinedUsers && targetGameState.joinedUsers.length > 0) {
-                for (const userId of targetGameState.joinedUsers) {
-                    if (userId !== chatId) { // Don't send to the player who made the move (already sent above)
-                        try {
-                            await showGameStatus(userId, targetGameState, '');
-                            // Also send analytics if game is over
-                            if (targetGame.isGameOver()) {
-                                await displayGameAnalytics(userId, targetGameState);
-                            }
-                        } catch (error) {
-                            console.error(`Error sending update to user ${userId}:`, error);
-                        }
-                    }
-                }
-            }
+    // Only allow moves from private chats
+    if (data.startsWith('move_') && msg.chat.type !== 'private') {
+        return 'Moves can only be made from private chat with the bot';
+    }
 
-        } catch (error) {
-            bot.sendMessage(chatId, `❌ Error: ${error.message}`);
-            await showGameStatus(chatId, targetGameState, username);
-        }
+    // Get the game of the board the button is on
+    const chatId = msg.chat.id;
+    const targetGameState = getGameForButton(chatId, msg.message_id, fingerprint);
+
+    // Buttons without a fingerprint come from boards sent before fingerprints were added
+    if (targetGameState && fingerprint === getPositionFingerprint(targetGameState)) {
+        return null;
     }
-});
+
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msg.message_id }).catch(error => {
+        console.error('Error removing stale buttons:', error.message);
+    });
+    return targetGameState
+        ? '⌛ This board is out of date, the position has changed since. Please use the latest board.'
+        : 'This game is no longer active.';
+}
 
 // Helper function to format legal moves as a list (for text commands)
 function getLegalMovesList(game) {
@@ -2157,7 +4285,7 @@ function getLegalMovesList(game) {
 }
 
 // Helper function to handle new game in channel
-async function startGameInChannel(channelId, username) {
+async function startGameInChannel(channelId, username, settings = DEFAULT_GAME_SETTINGS) {
     const gameKey = String(channelId);
 
     // Check if a game already exists - don't post to channel, just return
@@ -2166,84 +4294,392 @@ async function startGameInChannel(channelId, username) {
     }
 
     // Create a new game
-    const newGame = new Chess();
-    // Initialize move delay system
-    const baseDelay = 900; // Start with 15 minutes delay between rounds
-    const increment = 900; // Increase by 15 minutes each round (900 seconds = 15 minutes)
+    const gameState = createGameState({ channelId: String(channelId) });
+    applyGameSettings(gameState, settings);
+    activeGames.set(gameKey, gameState);
 
-    activeGames.set(gameKey, {
-        game: newGame,
-        lastMove: null,
-        players: [],
-        whiteTeam: [],
-        blackTeam: [],
-        joinedUsers: [], // Track users who joined via deep link
-        capturedPieces: { white: [], black: [] },
-        resignVotes: { white: [], black: [] },
-        drawVotes: { white: [], black: [] },
-        moveHistory: [],
-        channelId: String(channelId),
-        channelMessageId: null,
-        moveDelay: {
-            enabled: true,
-            baseDelay: baseDelay,
-            increment: increment
-        },
-        lastMoveTime: null,
-        moveNumber: 0,
-        roundEndTime: null
+    // Get channel name for database
+    let channelName = channelId;
+    try {
+        const chat = await bot.getChat(channelId);
+        channelName = chat.title || chat.username || channelId;
+        gameState.channelName = channelName;
+    } catch (error) {
+        console.error('Error getting channel info:', error);
+    }
+
+    // Save to database
+    await persistGame(gameState);
+
+    // Show the board in channel
+    await showGameStatus(channelId, gameState, username, false);
+
+    // Send instructions with deep link
+    const botInfo = await bot.getMe();
+    const deepLink = `https://t.me/${botInfo.username}?start=channel_${channelId}`;
+
+    await bot.sendMessage(channelId,
+        `🎮 Chess Game Started! 🎮\n\n` +
+        `📱 Click "Join & Play" on the board above to start playing! 👆\n\n` +
+        `⚪ White plays first!\n` +
+        `👥 Anyone can join the game!\n\n` +
+        `⚙️ Game settings:\n` +
+        describeGameSettings(gameState.settings),
+        {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '🎮 Join & Play', url: deepLink }]
+                ]
+            }
+        }
+    );
+}
+
+// Choices offered by the /newgame settings wizard, in seconds
+const SETUP_TIMING_OPTIONS = {
+    round: { base: [300, 900, 3600, 21600, 86400], increment: [0, 300, 900, 3600] },
+    clock: { base: [60, 180, 300, 600, 900, 1800], increment: [0, 2, 3, 5, 10] },
+    correspondence: { base: [86400, 172800, 259200, 432000, 604800], increment: [] },
+    none: { base: [], increment: [] }
+};
+const SETUP_TEAM_SIZES = [0, 1, 2, 3, 5, 10];
+
+// Open settings wizards by the chat they run in: { creatorId, channelId, settings, step, messageId, awaitingPosition }
+const setupSessions = new Map();
+
+// Helper function to get the wizard step that follows the given one
+// Timing modes without base or increment choices skip those steps
+function getNextSetupStep(session, step) {
+    const options = SETUP_TIMING_OPTIONS[session.settings.timingMode];
+    const order = ['timing', 'base', 'increment', 'decision', 'teamsize', 'switching', 'position', 'confirm'];
+    let next = order[order.indexOf(step) + 1];
+
+    if (next === 'base' && options.base.length === 0) next = 'increment';
+    if (next === 'increment' && options.increment.length === 0) next = 'decision';
+    return next;
+}
+
+// Helper function to build the text and buttons of the current wizard step
+function renderSetupStep(session) {
+    const { settings, step } = session;
+    const options = SETUP_TIMING_OPTIONS[settings.timingMode];
+    const title = session.channelId ? '⚙️ New channel game settings' : '⚙️ New game settings';
+    const button = (text, value) => ({ text, callback_data: `setup_${step}_${value}` });
+    let question = '';
+    let buttons = [];
+
+    if (step === 'timing') {
+        question = 'How should moves be timed?';
+        buttons = [
+            button('⏳ Round delay', 'round'),
+            button('⏱️ Chess clock', 'clock'),
+            button('📬 Correspondence', 'correspondence'),
+            button('♾️ No timer', 'none')
+        ];
+    } else if (step === 'base') {
+        question = {
+            round: 'Delay after the first round?',
+            clock: 'Time on each clock?',
+            correspondence: 'Time per move?'
+        }[settings.timingMode];
+        buttons = options.base.map(seconds => button(formatTime(seconds), seconds));
+    } else if (step === 'increment') {
+        question = settings.timingMode === 'clock' ? 'Increment per move?' : 'Extra delay added each round?';
+        buttons = options.increment.map(seconds => button(seconds === 0 ? 'None' : `+${formatTime(seconds)}`, seconds));
+    } else if (step === 'decision') {
+        question = 'How does a team decide its move?';
+        buttons = [button('👆 First click wins', 'first_click'), button('🗳️ Team vote', 'vote')];
+    } else if (step === 'teamsize') {
+        question = 'Maximum players per team?';
+        buttons = SETUP_TEAM_SIZES.map(size => button(size === 0 ? 'Unlimited' : String(size), size));
+    } else if (step === 'switching') {
+        question = 'May players switch teams after joining?';
+        buttons = [button('✅ Allow', 1), button('🚫 Don\'t allow', 0)];
+    } else if (step === 'position') {
+        if (session.awaitingPosition) {
+            question = 'Send the starting position as a FEN, paste a PGN, or upload a .pgn file.\n' +
+                'A PGN starts the game from its final position.';
+            buttons = [button('♟️ Standard start', 'standard')];
+        } else {
+            question = 'Which position should the game start from?';
+            buttons = [button('♟️ Standard start', 'standard'), button('📋 Custom (FEN/PGN)', 'custom')];
+        }
+    } else {
+        question = describeGameSettings(settings);
+        buttons = [button('✅ Start Game', 'start')];
+    }
+
+    // Group choices into rows of 3 buttons
+    const keyboard = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+        keyboard.push(buttons.slice(i, i + 3));
+    }
+    keyboard.push([
+        { text: '↩️ Start Over', callback_data: 'setup_restart' },
+        { text: '❌ Cancel', callback_data: 'setup_cancel' }
+    ]);
+
+    return { text: `${title}\n\n${question}`, keyboard };
+}
+
+// Helper function to show a wizard step, editing the wizard message when there is one
+async function showSetupStep(chatId, session) {
+    const { text, keyboard } = renderSetupStep(session);
+    const reply_markup = { inline_keyboard: keyboard };
+
+    if (session.messageId) {
+        try {
+            await bot.editMessageText(text, { chat_id: chatId, message_id: session.messageId, reply_markup });
+            return;
+        } catch (error) {
+            console.error('Error editing settings wizard, sending a new one:', error.message);
+        }
+    }
+
+    const sentMessage = await bot.sendMessage(chatId, text, { reply_markup });
+    session.messageId = sentMessage.message_id;
+}
+
+// Helper function to start the settings wizard for a new game
+// channelId is the channel the game will be posted to, or null for a game in this chat
+async function openSetupWizard(chatId, creatorId, channelId = null) {
+    const session = {
+        creatorId: creatorId || null,
+        channelId: channelId ? String(channelId) : null,
+        settings: { ...DEFAULT_GAME_SETTINGS },
+        step: 'timing',
+        messageId: null
+    };
+    setupSessions.set(String(chatId), session);
+    await showSetupStep(chatId, session);
+}
+
+// Helper function to create the game once the wizard is confirmed
+async function finishSetupWizard(chatId, session, username) {
+    setupSessions.delete(String(chatId));
+
+    if (session.channelId) {
+        const gameExists = activeGames.has(session.channelId);
+        await startGameInChannel(session.channelId, username, session.settings);
+
+        if (String(chatId) !== session.channelId) {
+            bot.sendMessage(chatId, gameExists
+                ? 'There is already an active game in that channel.'
+                : `✅ Game started in channel! Check it out.`);
+        }
+        return;
+    }
+
+    const gameKey = String(chatId);
+    if (activeGames.has(gameKey)) {
+        bot.sendMessage(chatId, 'There is already an active game. Click "Join Game" to join the current game.');
+        return;
+    }
+
+    const gameState = createGameState();
+    applyGameSettings(gameState, session.settings);
+    activeGames.set(gameKey, gameState);
+
+    bot.sendMessage(chatId, `🎮 New game started by ${username}!\n\n${describeGameSettings(gameState.settings)}\n\nChoose your side:`, {
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: `⚪ Join White (${gameState.whiteTeam.length} players)`, callback_data: 'join_white' }],
+                [{ text: `⚫ Join Black (${gameState.blackTeam.length} players)`, callback_data: 'join_black' }]
+            ]
+        }
     });
+    await showGameStatus(chatId, gameState, username);
+}
+
+// Helper function to handle a settings wizard button
+async function handleSetupCallback(chatId, user, data) {
+    const session = setupSessions.get(String(chatId));
+    if (!session) {
+        bot.sendMessage(chatId, 'This settings menu has expired. Use /newgame to start again.');
+        return;
+    }
+    if (session.creatorId && session.creatorId !== user.id) {
+        return; // Only the player who opened the wizard configures the game
+    }
+
+    if (data === 'setup_cancel') {
+        setupSessions.delete(String(chatId));
+        await bot.editMessageText('❌ New game cancelled.', { chat_id: chatId, message_id: session.messageId })
+            .catch(error => console.error('Error closing settings wizard:', error.message));
+        return;
+    }
+
+    if (data === 'setup_restart') {
+        session.settings = { ...DEFAULT_GAME_SETTINGS };
+        session.step = 'timing';
+        session.awaitingPosition = false;
+        await showSetupStep(chatId, session);
+        return;
+    }
+
+    const [, step, value] = data.match(/^setup_([a-z]+)_(.+)$/) || [];
+    if (step !== session.step) {
+        return; // Button of an earlier step
+    }
+
+    const { settings } = session;
+    if (step === 'timing' && SETUP_TIMING_OPTIONS[value]) {
+        settings.timingMode = value;
+        settings.baseSeconds = SETUP_TIMING_OPTIONS[value].base[1] || 0;
+        settings.incrementSeconds = 0;
+    } else if (step === 'base') {
+        settings.baseSeconds = Number(value);
+    } else if (step === 'increment') {
+        settings.incrementSeconds = Number(value);
+    } else if (step === 'decision') {
+        settings.decisionMode = value === 'vote' ? 'vote' : 'first_click';
+    } else if (step === 'teamsize') {
+        settings.maxTeamSize = Number(value);
+    } else if (step === 'switching') {
+        settings.allowTeamSwitch = value === '1';
+    } else if (step === 'position') {
+        // A custom position is sent as a message, see handlePositionImport
+        if (value === 'custom') {
+            session.awaitingPosition = true;
+            await showSetupStep(chatId, session);
+            return;
+        }
+        session.awaitingPosition = false;
+        settings.startFen = null;
+        settings.preGameMoves = '';
+    } else if (step === 'confirm') {
+        await bot.editMessageText(`✅ Settings saved\n\n${describeGameSettings(settings)}`, { chat_id: chatId, message_id: session.messageId })
+            .catch(error => console.error('Error closing settings wizard:', error.message));
+        await finishSetupWizard(chatId, session, getDisplayName(user));
+        return;
+    }
+
+    session.step = getNextSetupStep(session, step);
+    await showSetupStep(chatId, session);
+}
+
+// Largest .pgn upload accepted as a starting position (bytes)
+const MAX_IMPORT_FILE_SIZE = 256 * 1024;
+
+// Helper function to format chess.js verbose moves as numbered SAN, e.g. "1. e4 e5 2. Nf3"
+function formatSanMoves(moves) {
+    return moves.map((move, index) => {
+        const moveNumber = move.before.split(' ')[5];
+        if (move.color === 'w') {
+            return `${moveNumber}. ${move.san}`;
+        }
+        return index === 0 ? `${moveNumber}... ${move.san}` : move.san;
+    }).join(' ');
+}
 
-    // Get channel name for database
-    let channelName = channelId;
+// Helper function to shorten long imported move lists to their end
+function formatPreGameMoves(preGameMoves, maxLength = 600) {
+    return preGameMoves.length > maxLength ? `... ${preGameMoves.slice(-maxLength)}` : preGameMoves;
+}
+
+// Helper function to read a starting position from a FEN or a PGN
+// Returns { fen, preGameMoves } or { error }
+function parseImportedPosition(input) {
+    const text = (input || '').trim();
+    if (!text) {
+        return { error: 'The message is empty.' };
+    }
+
+    let game;
+    let preGameMoves = '';
+    if (validateFen(text).ok) {
+        game = new Chess(text);
+    } else {
+        // Anything that is not a single FEN line is read as PGN
+        if (!text.includes('[') && !/\d+\./.test(text)) {
+            return { error: `That is not a valid FEN: ${validateFen(text).error}` };
+        }
+        game = new Chess();
+        try {
+            game.loadPgn(text);
+        } catch (error) {
+            return { error: `The PGN could not be read: ${error.message}` };
+        }
+        preGameMoves = formatSanMoves(game.history({ verbose: true }));
+    }
+
+    // The side that just moved must not be left in check
+    const fields = game.fen().split(' ');
+    const flipped = new Chess();
     try {
-        const chat = await bot.getChat(channelId);
-        channelName = chat.title || chat.username || channelId;
-        activeGames.get(gameKey).channelName = channelName;
+        flipped.load([fields[0], fields[1] === 'w' ? 'b' : 'w', fields[2], '-', '0', '1'].join(' '));
     } catch (error) {
-        console.error('Error getting channel info:', error);
+        return { error: `The position is not valid: ${error.message}` };
+    }
+    if (flipped.isCheck()) {
+        return { error: 'The position is not valid: the side that is not to move is in check.' };
+    }
+    if (game.isGameOver()) {
+        return { error: 'The game is already over in that position.' };
     }
 
-    // Save to database
-    await saveGame(db, {
-        channelId: String(channelId),
-        channelName: channelName,
-        gameState: { fen: newGame.fen() },
-        whiteTeam: [],
-        blackTeam: [],
-        moveCount: 0
-    });
+    return { fen: game.fen(), preGameMoves };
+}
 
-    // Show the board in channel
-    await showGameStatus(channelId, activeGames.get(gameKey), username, false);
+// Helper function to read a Telegram file stream into a string
+function readFileStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+    });
+}
 
-    // Send instructions with deep link
-    const botInfo = await bot.getMe();
-    const deepLink = `https://t.me/${botInfo.username}?start=channel_${channelId}`;
+// Helper function to take the custom starting position a settings wizard is waiting for
+// The position arrives as a FEN or PGN message or as an uploaded .pgn document
+async function handlePositionImport(msg, session) {
+    const chatId = msg.chat.id;
+    let input = msg.text;
 
-    await bot.sendMessage(channelId,
-        `🎮 Chess Game Started! 🎮\n\n` +
-        `📱 Click "Join & Play" on the board above to start playing! 👆\n\n` +
-        `⚪ White plays first!\n` +
-        `👥 Anyone can join the game!\n\n` +
-        `⏱️ Timer System:\n` +
-        `• During rounds: Players can move immediately (no waiting)\n` +
-        `• After both move: 15 min timer starts (increases each round)\n` +
-        `• Both teams wait for timer to expire before next round`,
-        {
-            reply_markup: {
-                inline_keyboard: [
-                    [{ text: '🎮 Join & Play', url: deepLink }]
-                ]
-            }
+    if (msg.document) {
+        if (!/\.pgn$/i.test(msg.document.file_name || '')) {
+            bot.sendMessage(chatId, '❌ Please upload a .pgn file, or paste the FEN or PGN as a message.');
+            return;
         }
-    );
+        if (msg.document.file_size > MAX_IMPORT_FILE_SIZE) {
+            bot.sendMessage(chatId, `❌ That file is too large (the limit is ${MAX_IMPORT_FILE_SIZE / 1024} KB).`);
+            return;
+        }
+        try {
+            input = await readFileStream(bot.getFileStream(msg.document.file_id));
+        } catch (error) {
+            console.error('Error downloading PGN file:', error);
+            bot.sendMessage(chatId, '❌ The file could not be downloaded. Please try again.');
+            return;
+        }
+    }
+
+    const imported = parseImportedPosition(input);
+    if (imported.error) {
+        bot.sendMessage(chatId, `❌ ${imported.error}\n\nSend a FEN, paste a PGN or upload a .pgn file, or choose "Standard start".`);
+        return;
+    }
+
+    session.settings.startFen = imported.fen;
+    session.settings.preGameMoves = imported.preGameMoves;
+    session.awaitingPosition = false;
+    session.step = getNextSetupStep(session, 'position');
+
+    // The wizard message is now above the import, continue in a new one
+    session.messageId = null;
+    let confirmation = '✅ Starting position imported.';
+    if (imported.preGameMoves) {
+        confirmation += `\n\n📥 Pre-game moves:\n${formatPreGameMoves(imported.preGameMoves)}`;
+    }
+    await bot.sendMessage(chatId, confirmation);
+    await showSetupStep(chatId, session);
 }
 
 // Handle /start command
 bot.onText(/\/start(.*)/, (msg, match) => {
     const chatId = msg.chat.id;
-    const username = msg.from?.username || msg.from?.first_name || 'Unknown';
+    const username = getDisplayName(msg.from);
     const param = match[1]?.trim(); // Get parameter from deep link
 
     console.log('/start command received', { chatId, username, param });
@@ -2256,7 +4692,8 @@ bot.onText(/\/start(.*)/, (msg, match) => {
             const gameState = activeGames.get(targetChannelId);
 
             // Show side selection for this channel's game
-            bot.sendMessage(chatId, `🎮 Join the channel game! Choose your side:`, {
+            const deadlineText = gameState.correspondence ? `\n\n${formatCorrespondenceStatus(gameState)}` : '';
+            bot.sendMessage(chatId, `🎮 Join the channel game!${deadlineText}\n\nChoose your side:`, {
                 reply_markup: {
                     inline_keyboard: [
                         [{ text: `⚪ Join White (${gameState.whiteTeam.length} players)`, callback_data: `join_channel_white_${targetChannelId}` }],
@@ -2281,7 +4718,8 @@ bot.onText(/\/start(.*)/, (msg, match) => {
             { text: '👥 Join Game', callback_data: 'start_join' }
         ],
         [
-            { text: '📺 Start Channel Game', callback_data: 'start_channel_game' }
+            { text: '📺 Start Channel Game', callback_data: 'start_channel_game' },
+            { text: '🤖 Play vs Bot', callback_data: 'start_bot' }
         ],
         [
             { text: '📚 Help', callback_data: 'start_help' }
@@ -2294,11 +4732,17 @@ bot.onText(/\/start(.*)/, (msg, match) => {
         }
     };
 
-    // If there's an active game, auto-join the user
-    if (activeGames.has(chatId)) {
-        const gameState = activeGames.get(chatId);
-        if (!gameState.players.includes(username)) {
-            gameState.players.push(username);
+    // If there's an active game (in this chat or the channel the user is connected to), auto-join the user
+    let gameState = null;
+    if (userToChannel.has(String(chatId))) {
+        gameState = activeGames.get(userToChannel.get(String(chatId))) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameState = activeGames.get(String(chatId));
+    }
+
+    if (gameState) {
+        if (msg.from && !gameState.players.includes(msg.from.id)) {
+            gameState.players.push(msg.from.id);
         }
         bot.sendMessage(chatId,
             `👋 Welcome back, ${username}!\n\nThere's an active game. Here's the current board:`,
@@ -2323,57 +4767,33 @@ bot.onText(/\/newgame/i, async (msg) => {
     console.log('Received /newgame command', { chatId: msg.chat.id, chatType: msg.chat.type, username: msg.from?.username });
 
     const chatId = msg.chat.id;
-    const username = msg.from?.username || msg.from?.first_name || 'Unknown';
     const isChannel = msg.chat.type === 'channel' || msg.chat.type === 'supergroup';
-    const gameKey = isChannel ? String(chatId) : String(chatId);
 
     // Check if a game already exists
-    if (activeGames.has(gameKey)) {
+    if (activeGames.has(String(chatId))) {
         bot.sendMessage(chatId, 'There is already an active game. Use /join to join the current game.');
         return;
     }
 
-    // Create a new game
-    const newGame = new Chess();
-    activeGames.set(gameKey, {
-        game: newGame,
-        lastMove: null,
-        players: [],
-        whiteTeam: [],
-        blackTeam: [],
-        capturedPieces: { white: [], black: [] },
-        resignVotes: { white: [], black: [] },
-        drawVotes: { white: [], black: [] },
-        moveHistory: [],
-        channelId: isChannel ? String(chatId) : null,
-        channelMessageId: null
-    });
-
-    if (isChannel) {
-        // In channel - use helper function
-        activeGames.delete(gameKey); // Clean up since we'll recreate in helper
-        await startGameInChannel(chatId, username);
-    } else {
-        // In private chat - show with buttons
-        const gameStatePrivate = activeGames.get(gameKey);
-        bot.sendMessage(chatId, `🎮 New game started by ${username}! Choose your side:`, {
-            reply_markup: {
-                inline_keyboard: [
-                    [{ text: `⚪ Join White (${gameStatePrivate.whiteTeam.length} players)`, callback_data: 'join_white' }],
-                    [{ text: `⚫ Join Black (${gameStatePrivate.blackTeam.length} players)`, callback_data: 'join_black' }]
-                ]
-            }
-        });
-        await showGameStatus(chatId, activeGames.get(gameKey), username);
-    }
+    // The game is created once the settings are chosen
+    // (channel posts have no sender, so anyone who can click may configure them)
+    await openSetupWizard(chatId, msg.from?.id, isChannel ? chatId : null);
 });
 
 // Handle /join command
 bot.onText(/\/join/, (msg) => {
     const chatId = msg.chat.id;
-    const username = msg.from.username || msg.from.first_name;
+    const username = getDisplayName(msg.from);
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    if (userToChannel.has(String(chatId))) {
+        gameState = activeGames.get(userToChannel.get(String(chatId))) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameState = activeGames.get(String(chatId));
+    }
 
-    if (!activeGames.has(chatId)) {
+    if (!gameState) {
         const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
         bot.sendMessage(chatId, 'No active game found.', {
             reply_markup: { inline_keyboard: keyboard }
@@ -2381,16 +4801,14 @@ bot.onText(/\/join/, (msg) => {
         return;
     }
 
-    const gameState = activeGames.get(chatId);
-
     // Add player if not already in list
-    if (!gameState.players.includes(username)) {
-        gameState.players.push(username);
+    if (!gameState.players.includes(msg.from.id)) {
+        gameState.players.push(msg.from.id);
     }
 
     bot.sendMessage(chatId,
         `👤 ${username} joined the game!\n` +
-        `Players: ${gameState.players.join(', ')}`
+        `Players: ${formatTeam(gameState.players)}`
     );
 
     showGameStatus(chatId, gameState, username);
@@ -2405,9 +4823,17 @@ bot.onText(/\/move (.+)/, async (msg, match) => {
     }
 
     const chatId = msg.chat.id;
-    const username = msg.from.username || msg.from.first_name;
+    const username = getDisplayName(msg.from);
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    if (userToChannel.has(String(chatId))) {
+        gameState = activeGames.get(userToChannel.get(String(chatId))) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameState = activeGames.get(String(chatId));
+    }
 
-    if (!activeGames.has(chatId)) {
+    if (!gameState) {
         const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
         bot.sendMessage(chatId, 'No active game found.', {
             reply_markup: { inline_keyboard: keyboard }
@@ -2415,117 +4841,399 @@ bot.onText(/\/move (.+)/, async (msg, match) => {
         return;
     }
 
-    const gameState = activeGames.get(chatId);
+    const gameKey = gameState.channelId || String(chatId);
     const { game } = gameState;
 
-    // Check if game is over
-    if (game.isGameOver()) {
-        const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
-        bot.sendMessage(chatId, 'Game is over.', {
-            reply_markup: { inline_keyboard: keyboard }
-        });
-        return;
+    // Moves on one game are played one at a time, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this move waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
+
+        // Check if game is over
+        if (game.isGameOver()) {
+            const keyboard = [[{ text: '🎮 Start New Game', callback_data: 'start_newgame' }]];
+            bot.sendMessage(chatId, 'Game is over.', {
+                reply_markup: { inline_keyboard: keyboard }
+            });
+            return;
+        }
+
+        // Check if user has joined any team
+        const hasJoinedTeam = gameState.whiteTeam.includes(msg.from.id) || gameState.blackTeam.includes(msg.from.id);
+        if (!hasJoinedTeam) {
+            bot.sendMessage(chatId, `❌ You must join a team first! Use /join to choose White or Black.`);
+            return;
+        }
+
+        // Check if user is on the correct team
+        const currentSide = game.turn() === 'w' ? 'white' : 'black';
+        const team = currentSide === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+
+        if (!team.includes(msg.from.id)) {
+            const currentPlayer = currentSide === 'white' ? 'White' : 'Black';
+            bot.sendMessage(chatId, `❌ It's ${currentPlayer}'s turn, but you're on the other team!`);
+            return;
+        }
+
+        // Check the clock before accepting the move
+        if (await checkFlagFall(gameKey, gameState)) {
+            return;
+        }
+
+        // Check if enough time has passed since last round ended
+        // (in vote mode teams may vote while the timer runs, the move is played when it expires)
+        if (gameState.decisionMode !== 'vote' && !canMakeMove(gameState)) {
+            bot.sendMessage(chatId, `⏳ Timer is still counting down! Please wait ${formatTime(getRemainingDelay(gameState))} before the next round.`);
+            return;
+        }
+
+        const moveNotation = match[1].trim();
+
+        if (gameState.decisionMode === 'vote') {
+            await castMoveVote(gameKey, gameState, msg.from, moveNotation, chatId);
+            return;
+        }
+
+        try {
+            // Try to make the move
+            const move = game.move(moveNotation);
+
+            if (!move) {
+                bot.sendMessage(chatId,
+                    `❌ Invalid move: ${moveNotation}\n\n` +
+                    `Legal moves: ${getLegalMovesList(game)}`
+                );
+                return;
+            }
+
+            // Move was successful: record, save and broadcast it
+            await completeMove(gameState, move, username, msg.from.id, chatId);
+
+            // Answer right away when the other side is played by the engine
+            await playEngineMove(gameKey, gameState);
+
+        } catch (error) {
+            bot.sendMessage(chatId,
+                `❌ Error: ${error.message}`
+            );
+        }
+    });
+});
+
+// Handle /votemode command - switch between first-click-wins and team voting
+bot.onText(/\/votemode(?:\s+(\w+))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from?.id;
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    let gameKey = null;
+    if (userToChannel.has(String(chatId))) {
+        gameKey = userToChannel.get(String(chatId));
+        gameState = activeGames.get(gameKey) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameKey = String(chatId);
+        gameState = activeGames.get(gameKey);
     }
 
-    // Check if user has joined any team
-    const hasJoinedTeam = gameState.whiteTeam.includes(username) || gameState.blackTeam.includes(username);
-    if (!hasJoinedTeam) {
-        bot.sendMessage(chatId, `❌ You must join a team first! Use /join to choose White or Black.`);
+    if (!gameState) {
+        bot.sendMessage(chatId, 'No active game found.');
         return;
     }
 
-    // Check if user is on the correct team
-    const currentSide = game.turn() === 'w' ? 'white' : 'black';
-    const team = currentSide === 'white' ? gameState.whiteTeam : gameState.blackTeam;
+    // Game changes are made one at a time with moves and scheduled jobs, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
+
+        const option = (match[1] || '').toLowerCase();
+        if (option !== 'on' && option !== 'off') {
+            const currentMode = gameState.decisionMode === 'vote' ? 'on (teams vote on each move)' : 'off (first click wins)';
+            bot.sendMessage(chatId, `🗳️ Vote mode is ${currentMode}.\n\nUse /votemode on or /votemode off to change it.`);
+            return;
+        }
+
+        if (!gameState.whiteTeam.includes(userId) && !gameState.blackTeam.includes(userId)) {
+            bot.sendMessage(chatId, `❌ You must join a team first!`);
+            return;
+        }
+
+        gameState.decisionMode = option === 'on' ? 'vote' : 'first_click';
+        clearMoveVote(gameState);
+        await persistGame(gameState);
+
+        bot.sendMessage(chatId, option === 'on'
+            ? `🗳️ Vote mode enabled: team members vote on each move. The most voted move is played when the round timer expires or the team reaches a quorum.`
+            : `👆 Vote mode disabled: the first team member to click a move plays it.`
+        );
+    });
+});
+
+// Handle /clock command - show the clocks or set a time control before the first move
+bot.onText(/\/clock(?:\s+(\S+))?(?:\s+(\w+))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from?.id;
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    let gameKey = null;
+    if (userToChannel.has(String(chatId))) {
+        gameKey = userToChannel.get(String(chatId));
+        gameState = activeGames.get(gameKey) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameKey = String(chatId);
+        gameState = activeGames.get(gameKey);
+    }
 
-    if (!team.includes(username)) {
-        const currentPlayer = currentSide === 'white' ? 'White' : 'Black';
-        bot.sendMessage(chatId, `❌ It's ${currentPlayer}'s turn, but you're on the other team!`);
+    if (!gameState) {
+        bot.sendMessage(chatId, 'No active game found.');
         return;
     }
 
-    const moveNotation = match[1].trim();
+    // Game changes are made one at a time with moves and scheduled jobs, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
 
-    try {
-        // Try to make the move
-        const move = game.move(moveNotation);
+        const option = (match[1] || '').toLowerCase();
+        if (!option) {
+            const clockText = isClockEnabled(gameState)
+                ? `⏱️ ${formatTimeControl(gameState.timeControl)}\n⚪ White: ${formatClock(getClockRemaining(gameState, 'white'))}\n⚫ Black: ${formatClock(getClockRemaining(gameState, 'black'))}`
+                : '⏱️ This game has no chess clock.';
+            bot.sendMessage(chatId, `${clockText}\n\nUse /clock <minutes>+<increment> [fischer|bronstein] (e.g. /clock 5+3) or /clock off before the first move.`);
+            return;
+        }
 
-        if (!move) {
-            bot.sendMessage(chatId,
-                `❌ Invalid move: ${moveNotation}\n\n` +
-                `Legal moves: ${getLegalMovesList(game)}`
-            );
+        if (!gameState.whiteTeam.includes(userId) && !gameState.blackTeam.includes(userId)) {
+            bot.sendMessage(chatId, `❌ You must join a team first!`);
+            return;
+        }
+
+        if ((gameState.moveNumber || 0) > 0) {
+            bot.sendMessage(chatId, `❌ The time control can only be changed before the first move.`);
+            return;
+        }
+
+        if (option === 'off') {
+            gameState.timeControl = null;
+            gameState.timeRemaining = null;
+            gameState.clockStartedAt = null;
+            // Back to the timing chosen for the game (a clock chosen in the wizard leaves it untimed)
+            const { timingMode } = gameState.settings || DEFAULT_GAME_SETTINGS;
+            gameState.moveDelay = { ...createGameState().moveDelay, ...gameState.moveDelay, enabled: timingMode === 'round' };
+            await persistGame(gameState);
+            const timingText = {
+                round: 'the round timer is back on',
+                correspondence: 'the correspondence deadline still applies'
+            }[timingMode] || 'moves are untimed';
+            bot.sendMessage(chatId, `⏱️ Chess clock disabled, ${timingText}.`);
+            return;
+        }
+
+        const timeMatch = option.match(/^(\d+(?:\.\d+)?)(?:\+(\d+))?$/);
+        const mode = (match[2] || 'fischer').toLowerCase();
+        if (!timeMatch || Number(timeMatch[1]) <= 0 || (mode !== 'fischer' && mode !== 'bronstein')) {
+            bot.sendMessage(chatId, `❌ Invalid time control. Example: /clock 5+3 or /clock 10+5 bronstein`);
             return;
         }
 
-        // Move was successful
-        gameState.lastMove = {
-            player: username,
-            move: moveNotation,
-            timestamp: new Date()
+        const initialSeconds = Math.round(Number(timeMatch[1]) * 60);
+        gameState.timeControl = {
+            enabled: true,
+            mode,
+            initialSeconds,
+            incrementSeconds: Number(timeMatch[2] || 0)
         };
+        gameState.timeRemaining = { white: initialSeconds, black: initialSeconds };
+        gameState.clockStartedAt = null;
 
-        // Track captured pieces
-        if (move.captured) {
-            const capturedPiece = move.captured;
-            const capturingSide = move.color;
-            const capturedSide = capturingSide === 'w' ? 'black' : 'white';
-            gameState.capturedPieces[capturedSide].push(capturedPiece);
-        }
-
-        // Add move to history with full details for analytics
-        if (!gameState.moveHistory) {
-            gameState.moveHistory = [];
-        }
-        gameState.moveHistory.push({
-            number: gameState.moveHistory.length + 1,
-            player: username,
-            move: `${move.from} → ${move.to}`,
-            moveSan: move.san, // Standard Algebraic Notation
-            from: move.from,
-            to: move.to,
-            captured: move.captured ? pieceSymbols[move.captured] : null,
-            promotion: move.promotion || null,
-            flags: move.flags || '',
-            timestamp: Date.now()
-        });
+        // Clocks replace the round timer
+        if (gameState.moveDelay) {
+            gameState.moveDelay.enabled = false;
+        }
+        await persistGame(gameState);
 
-        // Check if game ended and show analytics
-        if (game.isGameOver()) {
-            await displayGameAnalytics(chatId, gameState);
+        bot.sendMessage(chatId, `⏱️ Chess clock set: ${formatTimeControl(gameState.timeControl)}. Clocks start after White's first move.`);
+        if (gameState.channelId) {
+            await showGameStatus(gameState.channelId, gameState, '', false);
+        }
+    });
+});
+
+// Handle /vacation command - spend vacation days to pause the team's correspondence deadline
+bot.onText(/\/vacation(?:\s+(\S+))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from?.id;
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    let gameKey = null;
+    if (userToChannel.has(String(chatId))) {
+        gameKey = userToChannel.get(String(chatId));
+        gameState = activeGames.get(gameKey) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameKey = String(chatId);
+        gameState = activeGames.get(gameKey);
+    }
+
+    if (!gameState) {
+        bot.sendMessage(chatId, 'No active game found.');
+        return;
+    }
+
+    // Game changes are made one at a time with moves and scheduled jobs, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
+
+        if (!gameState.correspondence) {
+            bot.sendMessage(chatId, '❌ Vacation days are only available in correspondence games.');
+            return;
+        }
+
+        const side = gameState.whiteTeam.includes(userId) ? 'white' : (gameState.blackTeam.includes(userId) ? 'black' : null);
+        if (!side) {
+            bot.sendMessage(chatId, `❌ You must join a team first!`);
+            return;
+        }
+
+        const daysLeft = getVacationDaysLeft(gameState, userId);
+        const days = Number(match[1]);
+        if (!match[1]) {
+            bot.sendMessage(chatId, `🏖️ You have ${daysLeft} vacation day${daysLeft !== 1 ? 's' : ''} left.\n\nUse /vacation <days> to pause your team's move deadline.`);
+            return;
+        }
+        if (!Number.isInteger(days) || days < 1 || days > daysLeft) {
+            bot.sendMessage(chatId, `❌ Please choose between 1 and ${daysLeft} days.`);
+            return;
         }
 
-        const moveDescription = move.captured ?
-            `${move.from} → ${move.to} captures ${pieceSymbols[move.captured]}` :
-            `${move.from} → ${move.to}`;
+        takeVacation(gameState, userId, side, days);
+        await persistGame(gameState);
 
-        // Notify about the move
+        const teamName = side === 'white' ? 'White' : 'Black';
         bot.sendMessage(chatId,
-            `✅ ${username} played: ${moveDescription}`
+            `🏖️ ${getDisplayName(msg.from)} took ${days} vacation day${days !== 1 ? 's' : ''}. ` +
+            `The ${teamName} team's deadline is paused until ${formatDeadline(gameState.correspondence.vacationUntil[side])}.\n` +
+            `Vacation days left: ${daysLeft - days}`
         );
+        if (gameState.channelId) {
+            await showGameStatus(gameState.channelId, gameState, '', false);
+        }
+    });
+});
 
-        // Show updated board
-        showGameStatus(chatId, gameState, username);
+// Handle /addbot command - let the engine play an empty side of the game
+bot.onText(/\/addbot(?:\s+(\w+))?/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from?.id;
+
+    // Get the game state - check if user is connected to a channel game first
+    let gameKey = null;
+    if (userToChannel.has(String(chatId))) {
+        gameKey = userToChannel.get(String(chatId));
+    } else if (activeGames.has(String(chatId))) {
+        gameKey = String(chatId);
+    }
+    const gameState = gameKey ? activeGames.get(gameKey) : null;
+
+    if (!gameState) {
+        bot.sendMessage(chatId, 'No active game found.');
+        return;
+    }
+
+    // Game changes are made one at a time with moves and scheduled jobs, see withGameLock
+    await withGameLock(gameKey, async () => {
+        // The game may have ended while this waited for the lock
+        if (activeGames.get(gameKey) !== gameState) {
+            bot.sendMessage(chatId, 'No active game found.');
+            return;
+        }
 
+        if (!gameState.whiteTeam.includes(userId) && !gameState.blackTeam.includes(userId)) {
+            bot.sendMessage(chatId, `❌ You must join a team first!`);
+            return;
+        }
+
+        const option = (match[1] || '3').toLowerCase();
+        if (option === 'off') {
+            if (!gameState.engine) {
+                bot.sendMessage(chatId, '🤖 No bot is playing in this game.');
+                return;
+            }
+            gameState.engine = null;
+            await persistGame(gameState);
+            bot.sendMessage(chatId, '🤖 The bot left the game, its side is open for players again.');
+            return;
+        }
+
+        if (!ENGINE_LEVELS[option]) {
+            bot.sendMessage(chatId, `❌ Choose a level from 1 to ${Object.keys(ENGINE_LEVELS).length}, e.g. /addbot 3 (or /addbot off).`);
+            return;
+        }
+
+        const emptySide = gameState.whiteTeam.length === 0 ? 'white' : (gameState.blackTeam.length === 0 ? 'black' : null);
+        if (!emptySide) {
+            bot.sendMessage(chatId, '❌ Both teams have players, the bot can only take an empty side.');
+            return;
+        }
+
+        gameState.engine = { side: emptySide, level: Number(option) };
+        await persistGame(gameState);
+
+        bot.sendMessage(chatId, `🤖 ${getEngineName(gameState.engine)} now plays ${emptySide === 'white' ? 'White' : 'Black'}.`);
+        if (gameState.channelId) {
+            await showGameStatus(gameState.channelId, gameState, '', false);
+        }
+        await playEngineMove(gameKey, gameState);
+    });
+});
+
+// Handle /settings command
+bot.onText(/\/settings/i, async (msg) => {
+    const chatId = msg.chat.id;
+    const { text, keyboard } = renderSettingsMenu(chatId);
+
+    try {
+        await bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
     } catch (error) {
-        bot.sendMessage(chatId,
-            `❌ Error: ${error.message}`
-        );
+        console.error('Error sending settings menu:', error);
     }
 });
 
 // Handle /resign command
-bot.onText(/\/resign/, (msg) => {
+bot.onText(/\/resign/, async (msg) => {
     const chatId = msg.chat.id;
-    const username = msg.from.username || msg.from.first_name;
 
-    if (!activeGames.has(chatId)) {
+    // Get the game state - check if user is connected to a channel game first
+    let gameState = null;
+    let gameKey = null;
+    if (userToChannel.has(String(chatId))) {
+        gameKey = userToChannel.get(String(chatId));
+        gameState = activeGames.get(gameKey) || null;
+    } else if (activeGames.has(String(chatId))) {
+        gameKey = String(chatId);
+        gameState = activeGames.get(gameKey);
+    }
+
+    if (!gameState || !msg.from) {
         bot.sendMessage(chatId, `No active game to resign.`);
         return;
     }
 
-    activeGames.delete(chatId);
-    bot.sendMessage(chatId, `🏳️ ${username} resigned. Game ended.`);
+    await voteToResign(gameKey, gameState, msg.from, chatId);
 });
 
 // Handle /help command
@@ -2549,15 +5257,20 @@ bot.onText(/\/help/, (msg) => {
         `👥 Join Game - Join the current game or view status\n` +
         `📚 Help - Show this help message\n\n` +
         `Text Commands (also available):\n` +
-        `/newgame - Start a new chess game\n` +
+        `/newgame - Start a new chess game and choose its settings (also from a FEN or PGN)\n` +
         `/join - Join the current game\n` +
         `/move <move> - Make a move (e.g., /move e2e4)\n` +
+        `/votemode on|off - Let teams vote on each move\n` +
+        `/clock 5+3 [bronstein] - Play with chess clocks instead of the round timer (/clock off to disable)\n` +
+        `/vacation <days> - Pause your team's correspondence deadline\n` +
+        `/addbot <level> - Let the bot play the empty side of the game (/addbot off to remove it)\n` +
+        `/settings - Preferences for this chat (JSON game export, board orientation, theme, pieces, size, coordinates, image or text board); channel admins also set the channel board's orientation, look and image or text mode here\n` +
         `/resign - End the current game\n` +
         `/help - Show this help message\n\n` +
         `📖 How to play:\n` +
         `1. Click "New Game" to start\n` +
         `2. Click "Join Game" to join (anyone can play)\n` +
-        `3. Make moves by clicking the buttons below the board\n` +
+        `3. Make a move by clicking a piece below the board, then its destination\n` +
         `4. Moves are validated automatically`,
         {
             reply_markup: { inline_keyboard: keyboard }
@@ -2581,11 +5294,23 @@ bot.on('message', async (msg) => {
         from: msg.from?.username || 'Unknown'
     });
 
+    // Keep the sender's display name current in the player registry
+    registerPlayer(msg.from);
+
+    // A settings wizard waiting for a custom starting position takes the next FEN, PGN or .pgn file
+    const positionSession = setupSessions.get(String(msg.chat.id));
+    if (positionSession && positionSession.awaitingPosition &&
+        (msg.document || (msg.text && !msg.text.startsWith('/'))) &&
+        (!positionSession.creatorId || positionSession.creatorId === msg.from?.id)) {
+        await handlePositionImport(msg, positionSession);
+        return;
+    }
+
     if (!msg.text) return;
 
     const text = msg.text.toLowerCase();
     const chatId = msg.chat.id;
-    const username = msg.from?.username || msg.from?.first_name || 'Unknown';
+    const username = getDisplayName(msg.from);
     const isChannel = msg.chat.type === 'channel' || msg.chat.type === 'supergroup';
 
     // Check if message contains "new game" or "start game" in channels
@@ -2599,5 +5324,23 @@ bot.on('message', async (msg) => {
     }
 });
 
-console.log('🤖 Chess Bot is running...');
-
+// Open and migrate the database, then restore saved games before accepting updates,
+// so callbacks never hit an empty activeGames
+initDatabase()
+    .catch(error => {
+        // Never run against a schema we do not understand
+        console.error('Error initializing database:', error.message);
+        process.exit(1);
+    })
+    .then(connection => {
+        db = connection;
+        return restoreActiveGames();
+    })
+    .catch(error => {
+        console.error('Error restoring active games:', error);
+    })
+    .then(() => {
+        bot.startPolling();
+        startScheduler();
+        console.log('🤖 Chess Bot is running...');
+    });